@@ -0,0 +1,76 @@
+const { contactsOf } = require('./conversations');
+const { toUserId } = require('./identity');
+const { placeholders } = require('./dialect');
+
+// --- STATUS AUDIENCE ---
+// Who may see a status: 'contacts' (everyone the author has a two-way private chat with),
+// 'except' (those contacts minus a list) or 'only' (just the listed users). Lists
+// are stored in status_audience. Authors always see their own statuses.
+
+const AUDIENCES = ['contacts', 'except', 'only'];
+
+// From a request body: { audience, audienceUserIds } -> { audience, userIds } or { status, error }
+function parseAudience(body = {}) {
+    const audience = body.audience || 'contacts';
+    if (!AUDIENCES.includes(audience)) return { status: 400, error: `audience must be one of ${AUDIENCES.join(', ')}` };
+
+    const list = Array.isArray(body.audienceUserIds) ? body.audienceUserIds : [];
+    const userIds = [...new Set(list.map(toUserId).filter(Boolean))];
+    if (audience === 'only' && !userIds.length) return { status: 400, error: "audienceUserIds is required for 'only'" };
+
+    return { audience, userIds: audience === 'contacts' ? [] : userIds };
+}
+
+async function saveAudience(db, statusId, userIds) {
+    for (const userId of userIds) {
+        await db.run("INSERT INTO status_audience (statusId, userId) VALUES (?, ?)", [String(statusId), userId]);
+    }
+}
+
+async function listedUsers(db, statusId) {
+    const rows = await db.all("SELECT userId FROM status_audience WHERE statusId = ?", [String(statusId)]);
+    return rows.map(r => r.userId);
+}
+
+// Everyone (other than the author) a new status should be delivered to
+async function recipientsOf(db, status) {
+    const audience = status.audience || 'contacts';
+    if (audience === 'only') return listedUsers(db, status.id);
+
+    const contacts = await contactsOf(db, status.userId);
+    if (audience === 'contacts') return contacts;
+    const excluded = new Set(await listedUsers(db, status.id));
+    return contacts.filter(id => !excluded.has(id));
+}
+
+// Statuses from a list the viewer is allowed to see (one contacts + one list query)
+async function filterVisible(db, viewerId, statuses) {
+    const others = statuses.filter(s => s.userId !== viewerId);
+    if (!others.length) return statuses;
+
+    // Private-chat contacts are mutual, so the viewer's contacts are the authors they can see
+    const contacts = new Set(await contactsOf(db, viewerId));
+    const listed = new Set();
+    const restricted = others.filter(s => s.audience === 'except' || s.audience === 'only').map(s => String(s.id));
+    if (restricted.length) {
+        const rows = await db.all(
+            `SELECT statusId FROM status_audience WHERE userId = ? AND statusId IN (${placeholders(restricted)})`,
+            [viewerId, ...restricted]
+        );
+        rows.forEach(r => listed.add(String(r.statusId)));
+    }
+
+    return statuses.filter(s => {
+        if (s.userId === viewerId) return true;
+        const onList = listed.has(String(s.id));
+        if (s.audience === 'only') return onList;
+        if (s.audience === 'except') return contacts.has(s.userId) && !onList;
+        return contacts.has(s.userId);
+    });
+}
+
+async function canViewStatus(db, viewerId, status) {
+    return (await filterVisible(db, viewerId, [status])).length === 1;
+}
+
+module.exports = { AUDIENCES, parseAudience, saveAudience, recipientsOf, filterVisible, canViewStatus };
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { toUserId } = require('./identity');
+require('dotenv').config();
+
+// --- SESSION TOKENS (HS256 JWT) ---
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL || '3600', 10); // 1 hour
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL || String(30 * 24 * 3600), 10); // 30 days
+
+let SECRET = process.env.AUTH_SECRET;
+if (!SECRET) {
+    // Dev fallback: tokens stop working after a restart
+    SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ AUTH_SECRET not set, using a random per-process secret');
+}
+
+const b64url = (input) => Buffer.from(input).toString('base64url');
+
+const hmac = (data) => crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+
+function sign(payload) {
+    const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = b64url(JSON.stringify(payload));
+    return `${header}.${body}.${hmac(`${header}.${body}`)}`;
+}
+
+// Returns the payload, or null for a malformed, forged or expired token
+function verify(token, expectedType) {
+    if (typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, body, signature] = parts;
+    const expected = Buffer.from(hmac(`${header}.${body}`));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    } catch (e) {
+        return null;
+    }
+
+    if (!payload || payload.typ !== expectedType) return null;
+    if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+    return payload;
+}
+
+// Issue an access/refresh pair for a verified user
+function issueTokens(userId) {
+    const now = Math.floor(Date.now() / 1000);
+    const sessionId = crypto.randomUUID();
+
+    return {
+        accessToken: sign({ sub: userId, typ: 'access', sid: sessionId, iat: now, exp: now + ACCESS_TOKEN_TTL }),
+        refreshToken: sign({ sub: userId, typ: 'refresh', sid: sessionId, iat: now, exp: now + REFRESH_TOKEN_TTL }),
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+const verifyAccessToken = (token) => verify(token, 'access');
+const verifyRefreshToken = (token) => verify(token, 'refresh');
+
+// Express middleware: requires "Authorization: Bearer <accessToken>"
+function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const payload = verifyAccessToken(token);
+
+    if (!payload) {
+        return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    // toUserId keeps tokens issued before IDs became E.164 working
+    req.user = { id: toUserId(payload.sub), sessionId: payload.sid };
+    next();
+}
+
+// Socket.IO middleware: token comes from the handshake auth payload
+function authenticateSocket(socket, next) {
+    const { token } = socket.handshake.auth || {};
+    const payload = verifyAccessToken(token);
+
+    if (!payload) {
+        return next(new Error('Unauthorized'));
+    }
+
+    socket.data.userId = toUserId(payload.sub);
+    socket.data.sessionId = payload.sid;
+    next();
+}
+
+module.exports = { issueTokens, verifyAccessToken, verifyRefreshToken, requireAuth, authenticateSocket };
@@ -0,0 +1,332 @@
+require('dotenv').config();
+const { toDate } = require('./messages');
+const { displayNames } = require('./groups');
+
+// --- 1:1 CALLS ---
+// Every call gets a `calls` row the moment it starts ringing and is closed with an
+// outcome: answered, rejected, missed (not picked up in time, or cancelled by the
+// caller) or busy (the callee was already on a call). The live state machine
+// (ringing -> ongoing -> ended) is in memory, per process, like presence.js:
+//   ringing --answer--> ongoing --end--> ended (answered)
+//   ringing --reject / end / timeout--> ended (rejected / missed)
+// Missed and busy calls are flagged until the callee has been told (missedNotifiedAt).
+// A user may ring on several devices; the call is pinned to the caller's socket and
+// to whichever callee socket answers, and losing either socket ends it (dropSocket).
+// Same return convention as messages.js ({ status, error } on refusal).
+
+const RING_TIMEOUT_MS = parseInt(process.env.CALL_RING_TIMEOUT_SECONDS || '45', 10) * 1000;
+const CALL_TYPES = ['audio', 'video'];
+
+const callView = (c) => ({
+    id: c.id,
+    callerId: c.callerId,
+    calleeId: c.calleeId,
+    type: c.type,
+    channelId: c.channelId,
+    status: c.status,
+    outcome: c.outcome,
+    startedAt: toDate(c.startedAt).toISOString(),
+    answeredAt: c.answeredAt ? toDate(c.answeredAt).toISOString() : null,
+    endedAt: c.endedAt ? toDate(c.endedAt).toISOString() : null,
+    // seconds of conversation, 0 for calls that were never answered
+    duration: c.answeredAt && c.endedAt
+        ? Math.round((toDate(c.endedAt) - toDate(c.answeredAt)) / 1000)
+        : 0
+});
+
+async function getCall(db, callId) {
+    const row = await db.get("SELECT * FROM calls WHERE id = ?", [callId]);
+    return row ? callView(row) : null;
+}
+
+// Calls can't outlive the process that tracked them: close whatever a restart left open
+async function closeStaleCalls(db) {
+    const result = await db.run(
+        `UPDATE calls SET status = 'ended', endedAt = CURRENT_TIMESTAMP,
+                outcome = CASE WHEN answeredAt IS NULL THEN 'missed' ELSE 'answered' END
+         WHERE status <> 'ended'`
+    );
+    const groupResult = await db.run("UPDATE group_calls SET endedAt = CURRENT_TIMESTAMP WHERE endedAt IS NULL");
+    await db.run("UPDATE group_call_participants SET leftAt = CURRENT_TIMESTAMP WHERE leftAt IS NULL");
+    return result.changes + groupResult.changes;
+}
+
+// Call log, newest first: { calls, nextCursor, hasMore }; page: { limit, before }
+async function listCalls(db, userId, { limit, before }) {
+    const params = [userId, userId];
+    let sql = "SELECT * FROM calls WHERE (callerId = ? OR calleeId = ?)";
+    if (before !== null) {
+        sql += " AND id < ?";
+        params.push(before);
+    }
+    // limit is a validated integer (MySQL prepared statements reject LIMIT ?)
+    sql += ` ORDER BY id DESC LIMIT ${limit + 1}`;
+
+    const rows = await db.all(sql, params);
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit).map(row => {
+        const outgoing = row.callerId === userId;
+        return { ...callView(row), direction: outgoing ? 'outgoing' : 'incoming', peerId: outgoing ? row.calleeId : row.callerId };
+    });
+    return { calls: page, nextCursor: hasMore ? page[page.length - 1].id : null, hasMore };
+}
+
+const markMissedNotified = (db, callId) =>
+    db.run("UPDATE calls SET missedNotifiedAt = CURRENT_TIMESTAMP WHERE id = ?", [callId]);
+
+// Missed/busy calls the callee hasn't been told about yet; marks them as told
+async function takeMissedCalls(db, userId) {
+    const rows = await db.all(
+        `SELECT * FROM calls WHERE calleeId = ? AND outcome IN ('missed', 'busy') AND missedNotifiedAt IS NULL
+         ORDER BY id ASC`,
+        [userId]
+    );
+    for (const row of rows) await markMissedNotified(db, row.id);
+    return rows.map(callView);
+}
+
+// onRingTimeout(call) runs after a call rang out unanswered (already recorded as missed)
+function createCalls(db, { ringTimeoutMs = RING_TIMEOUT_MS, onRingTimeout = () => { } } = {}) {
+    const active = new Map(); // callId -> { id, callerId, calleeId, state, timer, callerSocket, calleeSocket }
+    const byUser = new Map(); // userId -> callId (both parties, while ringing or ongoing)
+
+    const release = (live) => {
+        clearTimeout(live.timer);
+        active.delete(live.id);
+        byUser.delete(live.callerId);
+        byUser.delete(live.calleeId);
+    };
+
+    async function finish(live, outcome) {
+        release(live);
+        await db.run(
+            "UPDATE calls SET status = 'ended', outcome = ?, endedAt = CURRENT_TIMESTAMP WHERE id = ?",
+            [outcome, live.id]
+        );
+        return getCall(db, live.id);
+    }
+
+    // The given call, or the user's current one for clients that don't send callId
+    function find(userId, callId) {
+        const id = callId ? Number(callId) : byUser.get(userId);
+        const live = active.get(id);
+        if (!live) return { status: 404, error: "No such call in progress" };
+        if (live.callerId !== userId && live.calleeId !== userId) return { status: 403, error: "Not a party to this call" };
+        return { live };
+    }
+
+    return {
+        // { call } while ringing, { call, busy: true } if the callee was on another call
+        async start(callerId, calleeId, { type, channelId, socketId = null } = {}) {
+            if (!calleeId || calleeId === callerId) return { status: 400, error: "Invalid receiver" };
+            const callType = type || 'audio';
+            if (!CALL_TYPES.includes(callType)) return { status: 400, error: `type must be one of ${CALL_TYPES.join(', ')}` };
+            if (byUser.has(callerId)) return { status: 409, error: "You are already on a call" };
+
+            const callee = await db.get("SELECT phone FROM users WHERE phone = ?", [calleeId]);
+            if (!callee) return { status: 404, error: "User not found" };
+
+            const busy = byUser.has(calleeId);
+            const result = await db.run(
+                `INSERT INTO calls (callerId, calleeId, type, channelId, status, outcome, endedAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ${busy ? 'CURRENT_TIMESTAMP' : 'NULL'})`,
+                [callerId, calleeId, callType, channelId || null, busy ? 'ended' : 'ringing', busy ? 'busy' : null]
+            );
+            if (busy) return { call: await getCall(db, result.lastID), busy: true };
+
+            const live = { id: result.lastID, callerId, calleeId, state: 'ringing', callerSocket: socketId, calleeSocket: null };
+            live.timer = setTimeout(() => {
+                finish(live, 'missed')
+                    .then(onRingTimeout)
+                    .catch(e => console.error("Call timeout error", e));
+            }, ringTimeoutMs);
+            active.set(live.id, live);
+            byUser.set(callerId, live.id);
+            byUser.set(calleeId, live.id);
+            return { call: await getCall(db, live.id) };
+        },
+
+        async answer(userId, callId, socketId = null) {
+            const { live, ...refusal } = find(userId, callId);
+            if (!live) return refusal;
+            if (live.calleeId !== userId) return { status: 403, error: "Only the callee can answer" };
+            if (live.state !== 'ringing') return { status: 409, error: "Call was already answered" };
+
+            clearTimeout(live.timer);
+            live.state = 'ongoing';
+            live.calleeSocket = socketId;
+            await db.run("UPDATE calls SET status = 'ongoing', answeredAt = CURRENT_TIMESTAMP WHERE id = ?", [live.id]);
+            return { call: await getCall(db, live.id) };
+        },
+
+        async reject(userId, callId) {
+            const { live, ...refusal } = find(userId, callId);
+            if (!live) return refusal;
+            if (live.calleeId !== userId) return { status: 403, error: "Only the callee can reject" };
+            if (live.state !== 'ringing') return { status: 409, error: "Call was already answered" };
+            return { call: await finish(live, 'rejected') };
+        },
+
+        // Hang up: an answered call ends as answered; while ringing the caller
+        // cancelling is a missed call, the callee hanging up a rejection
+        async end(userId, callId) {
+            const { live, ...refusal } = find(userId, callId);
+            if (!live) return refusal;
+            let outcome = 'answered';
+            if (live.state === 'ringing') outcome = userId === live.callerId ? 'missed' : 'rejected';
+            return { call: await finish(live, outcome) };
+        },
+
+        // A socket went away: end the calls it was pinned to. Returns [{ call, userId }]
+        // (userId: the party whose socket dropped). A callee that hasn't answered
+        // yet may still pick up on another device, so ringing calls only end when
+        // the caller drops.
+        async dropSocket(socketId) {
+            const ended = [];
+            for (const live of [...active.values()]) {
+                if (live.callerSocket === socketId) {
+                    ended.push({ call: await finish(live, live.state === 'ringing' ? 'missed' : 'answered'), userId: live.callerId });
+                } else if (live.calleeSocket === socketId) {
+                    ended.push({ call: await finish(live, 'answered'), userId: live.calleeId });
+                }
+            }
+            return ended;
+        },
+
+        // The user's ringing/ongoing call, or null
+        currentCall(userId) {
+            const live = active.get(byUser.get(userId));
+            return live ? getCall(db, live.id) : Promise.resolve(null);
+        }
+    };
+}
+
+// --- GROUP CALLS ---
+// At most one session per group. It starts with the first participant, anyone in
+// the group can join while it's live, and it ends when the last participant leaves.
+// group_calls holds the session, group_call_participants one row per join (a user
+// who drops and rejoins gets two). Like 1:1 calls, a participant is pinned to the
+// socket they joined from.
+
+// "4:05", "1:02:09"
+function formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function createGroupCalls(db) {
+    const sessions = new Map(); // groupId -> { id, groupId, type, channelId, startedBy, startedAt, participants: Map(userId -> socketId) }
+
+    const sessionView = (s) => ({
+        callId: s.id,
+        groupId: s.groupId,
+        type: s.type,
+        channelId: s.channelId,
+        startedBy: s.startedBy,
+        startedAt: s.startedAt,
+        participants: [...s.participants.keys()]
+    });
+
+    // Closes the session; returns { callId, duration, participants, notice } for the group history
+    async function endSession(session) {
+        sessions.delete(session.groupId);
+        await db.run("UPDATE group_calls SET endedAt = CURRENT_TIMESTAMP WHERE id = ?", [session.id]);
+
+        const row = await db.get("SELECT startedAt, endedAt FROM group_calls WHERE id = ?", [session.id]);
+        const joined = await db.all("SELECT DISTINCT userId FROM group_call_participants WHERE callId = ?", [session.id]);
+        const duration = Math.round((toDate(row.endedAt) - toDate(row.startedAt)) / 1000);
+        const participants = joined.map(p => p.userId);
+
+        const [starterName] = await displayNames(db, [session.startedBy]);
+        const kind = session.type === 'video' ? 'Video call' : 'Voice call';
+        const people = participants.length === 1 ? '1 participant' : `${participants.length} participants`;
+        return {
+            callId: session.id,
+            duration,
+            participants,
+            notice: `${kind} started by ${starterName} · ${formatDuration(duration)} · ${people}`
+        };
+    }
+
+    async function leaveSession(session, userId) {
+        session.participants.delete(userId);
+        await db.run(
+            "UPDATE group_call_participants SET leftAt = CURRENT_TIMESTAMP WHERE callId = ? AND userId = ? AND leftAt IS NULL",
+            [session.id, userId]
+        );
+        const ended = session.participants.size ? null : await endSession(session);
+        return { session: sessionView(session), ended };
+    }
+
+    return {
+        // Caller must already be a group member. Returns { session, started } where
+        // started is true when this join opened a new session.
+        async join(groupId, userId, socketId, { type, channelId } = {}) {
+            let session = sessions.get(groupId);
+            let started = false;
+
+            if (!session) {
+                const callType = type || 'audio';
+                if (!CALL_TYPES.includes(callType)) return { status: 400, error: `type must be one of ${CALL_TYPES.join(', ')}` };
+
+                session = {
+                    id: null,
+                    groupId,
+                    type: callType,
+                    channelId: channelId || null,
+                    startedBy: userId,
+                    startedAt: new Date().toISOString(),
+                    participants: new Map()
+                };
+                // Registered before the insert so a simultaneous join lands in the same session
+                sessions.set(groupId, session);
+                session.ready = db.run(
+                    "INSERT INTO group_calls (groupId, startedBy, type, channelId) VALUES (?, ?, ?, ?)",
+                    [groupId, userId, callType, channelId || null]
+                ).then(result => { session.id = result.lastID; });
+                session.ready.catch(() => sessions.delete(groupId));
+                started = true;
+            }
+            await session.ready;
+
+            // Joining again from another device just moves the call there
+            if (!session.participants.has(userId)) {
+                await db.run("INSERT INTO group_call_participants (callId, userId) VALUES (?, ?)", [session.id, userId]);
+            }
+            session.participants.set(userId, socketId);
+            return { session: sessionView(session), started };
+        },
+
+        // { session, ended } (ended: summary when this was the last participant)
+        async leave(groupId, userId) {
+            const session = sessions.get(groupId);
+            if (!session || !session.participants.has(userId)) return { status: 404, error: "Not in a call in this group" };
+            return leaveSession(session, userId);
+        },
+
+        // Leaves every session the socket was pinned to. Returns [{ userId, session, ended }]
+        async dropSocket(socketId) {
+            const left = [];
+            for (const session of [...sessions.values()]) {
+                for (const [userId, pinned] of session.participants) {
+                    if (pinned === socketId) left.push({ userId, ...(await leaveSession(session, userId)) });
+                }
+            }
+            return left;
+        },
+
+        // The live session in a group, or null
+        activeCall(groupId) {
+            const session = sessions.get(groupId);
+            return session ? sessionView(session) : null;
+        }
+    };
+}
+
+module.exports = {
+    RING_TIMEOUT_MS, CALL_TYPES,
+    getCall, closeStaleCalls, listCalls, takeMissedCalls, markMissedNotified, createCalls,
+    formatDuration, createGroupCalls
+};
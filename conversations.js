@@ -0,0 +1,142 @@
+// --- CONVERSATIONS ---
+// Denormalized chat list: one row per chat (private "A_B" or group ID) holding the
+// last message, plus one participant row per member. Maintained on every send and
+// group creation so the chat list is a single indexed query.
+
+const { isPrivateChatId, chatParticipants } = require('./identity');
+const { insertIgnore, placeholders } = require('./dialect');
+
+async function addParticipants(db, conversationId, userIds) {
+    for (const userId of new Set(userIds)) {
+        await db.run(`${insertIgnore(db)} INTO conversation_participants (conversationId, userId) VALUES (?, ?)`, [conversationId, userId]);
+    }
+}
+
+async function ensurePrivateConversation(db, chatId) {
+    await db.run(`${insertIgnore(db)} INTO conversations (id, isGroup) VALUES (?, 0)`, [chatId]);
+    await addParticipants(db, chatId, chatParticipants(chatId));
+}
+
+async function ensureGroupConversation(db, groupId, memberIds = null) {
+    await db.run(`${insertIgnore(db)} INTO conversations (id, isGroup) VALUES (?, 1)`, [groupId]);
+
+    if (!memberIds) {
+        const members = await db.all("SELECT userId FROM group_members WHERE groupId = ?", [groupId]);
+        memberIds = members.map(m => m.userId);
+    }
+    await addParticipants(db, groupId, memberIds);
+}
+
+// Record a stored message as the chat's latest (at: DB timestamp, defaults to now)
+async function touchConversation(db, chatId, message, at = null) {
+    const update = () => db.run(
+        `UPDATE conversations SET lastMessageId = ?, lastMessageText = ?, lastMessageType = ?, lastSender = ?, lastMessageAt = COALESCE(?, CURRENT_TIMESTAMP)
+         WHERE id = ? AND (lastMessageId IS NULL OR lastMessageId < ?)`,
+        [message.id, message.text || null, message.type || 'text', message.sender, at, chatId, message.id]
+    );
+
+    const result = await update();
+    if (result.changes) return;
+
+    // First message of a chat the table doesn't know about yet
+    const existing = await db.get("SELECT id FROM conversations WHERE id = ?", [chatId]);
+    if (existing) return;
+
+    if (isPrivateChatId(chatId)) await ensurePrivateConversation(db, chatId);
+    else await ensureGroupConversation(db, chatId);
+    await update();
+}
+
+// groupId -> [{ userId, role }] for several groups, in one query
+async function groupMembers(db, groupIds) {
+    const byGroup = new Map(groupIds.map(id => [String(id), []]));
+    if (!byGroup.size) return byGroup;
+
+    const rows = await db.all(
+        `SELECT groupId, userId, role FROM group_members WHERE groupId IN (${placeholders(groupIds)}) ORDER BY id`,
+        groupIds
+    );
+    rows.forEach(r => byGroup.get(String(r.groupId))?.push(r));
+    return byGroup;
+}
+
+// The whole chat list for a user: one query, plus one for group members (not
+// GROUP_CONCAT, which MySQL cuts off at group_concat_max_len)
+async function listChats(db, userId) {
+    const rows = await db.all(
+        `SELECT c.id, c.isGroup, c.lastMessageId, c.lastMessageText, c.lastMessageType, c.lastMessageAt, c.createdAt,
+                g.name AS groupName, g.icon AS groupIcon, g.createdBy, g.type AS groupType, g.createdAt AS groupCreatedAt,
+                op.userId AS otherId, u.name AS otherName, u.image AS otherImage,
+                COALESCE(cr.lastReadId, 0) AS lastReadId,
+                (SELECT COUNT(*) FROM messages m
+                    WHERE m.chatId = c.id AND m.id > COALESCE(cr.lastReadId, 0)
+                    AND m.sender <> p.userId) AS unread
+         FROM conversation_participants p
+         JOIN conversations c ON c.id = p.conversationId
+         LEFT JOIN groups_table g ON c.isGroup = 1 AND g.id = c.id
+         LEFT JOIN conversation_participants op ON c.isGroup = 0 AND op.conversationId = c.id AND op.userId <> p.userId
+         LEFT JOIN users u ON u.phone = op.userId
+         LEFT JOIN chat_reads cr ON cr.userId = p.userId AND cr.chatId = c.id
+         WHERE p.userId = ?
+         ORDER BY COALESCE(c.lastMessageAt, c.createdAt) DESC`,
+        [userId]
+    );
+    const members = await groupMembers(db, rows.filter(r => Number(r.isGroup)).map(r => r.id));
+
+    return rows.map(r => {
+        const base = {
+            id: r.id,
+            lastMessage: !r.lastMessageId ? 'Tap to chat'
+                : r.lastMessageType === 'deleted' ? 'This message was deleted'
+                    : (r.lastMessageText || 'Media'),
+            lastMessageId: r.lastMessageId,
+            time: r.lastMessageAt || r.groupCreatedAt || r.createdAt,
+            unread: Number(r.unread),
+            lastReadId: Number(r.lastReadId)
+        };
+
+        if (Number(r.isGroup)) {
+            const memberRows = members.get(String(r.id)) || [];
+            return {
+                ...base,
+                name: r.groupName,
+                isGroup: true,
+                members: memberRows.map(m => ({ id: m.userId, isAdmin: m.role === 'admin' })),
+                avatar: r.groupIcon,
+                createdBy: r.createdBy,
+                admins: memberRows.filter(m => m.role === 'admin').map(m => m.userId),
+                type: r.groupType
+            };
+        }
+
+        const otherId = r.otherId || r.id.split('_').find(id => id !== userId);
+        return {
+            ...base,
+            name: r.otherName || otherId,
+            avatar: r.otherImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(otherId)}&background=random`,
+            phone: otherId,
+            isGroup: false,
+            isArchived: false
+        };
+    });
+}
+
+// Everyone the user has a two-way private chat with, i.e. both sides have sent a
+// message (presence and status audiences). A message from a stranger isn't enough.
+async function contactsOf(db, userId) {
+    const rows = await db.all(
+        `SELECT DISTINCT op.userId FROM conversation_participants p
+         JOIN conversations c ON c.id = p.conversationId AND c.isGroup = 0
+         JOIN conversation_participants op ON op.conversationId = p.conversationId AND op.userId <> p.userId
+         WHERE p.userId = ?
+           AND EXISTS (SELECT 1 FROM messages m WHERE m.chatId = c.id AND m.sender = p.userId)
+           AND EXISTS (SELECT 1 FROM messages m WHERE m.chatId = c.id AND m.sender = op.userId)`,
+        [userId]
+    );
+    return rows.map(r => r.userId);
+}
+
+module.exports = {
+    ensurePrivateConversation, ensureGroupConversation, addParticipants,
+    touchConversation, listChats, contactsOf
+};
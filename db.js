@@ -1,4 +1,6 @@
 const mysql = require('mysql2/promise');
+const migrations = require('./migrations');
+const { isMySQL } = require('./dialect');
 require('dotenv').config();
 
 let pool;
@@ -33,7 +35,10 @@ class MySQLWrapper {
     }
 }
 
-async function initDB() {
+// Open MySQL if configured, otherwise (or if it fails) local SQLite. With
+// { fallback: false } (the migrate CLI) an unreachable MySQL is an error instead,
+// so migrations never land in a local file by mistake.
+async function connectDB({ fallback = true } = {}) {
     // Check if MySQL credentials are provided
     if (process.env.DB_HOST && process.env.DB_USER && process.env.DB_PASSWORD && process.env.DB_NAME) {
         console.log('🔌 Connecting to Hostinger MySQL Database...');
@@ -58,14 +63,10 @@ async function initDB() {
             const db = new MySQLWrapper(pool);
             console.log('✅ Connected to Hostinger MySQL Database (Verified)!');
 
-            // Create Tables (MySQL syntax compatible)
-            // Note: INT PRIMARY KEY AUTO_INCREMENT is slightly different from SQLite INTEGER PRIMARY KEY AUTOINCREMENT
-            // But we will use IF NOT EXISTS
-            await createTables(db);
-
             return db;
         } catch (err) {
             console.error('❌ MySQL Connection Failed:', err.message);
+            if (!fallback) throw err;
             console.log('⚠️ Falling back to Local SQLite...'); // Explicit fallback log
         }
     }
@@ -80,129 +81,60 @@ async function initDB() {
         filename: path.join(__dirname, 'wavechat.db'),
         driver: sqlite3.Database
     });
+    await db.exec('PRAGMA foreign_keys = ON'); // off by default, per connection
 
-    await createTables(db);
     return db;
 }
 
-// Helper to create tables (Works for both mostly, but adjustments might be needed for AUTO_INCREMENT)
-async function createTables(db) {
-    // MySQL uses AUTO_INCREMENT, SQLite uses AUTOINCREMENT
-    // We try to catch errors or assume setup is done via phpMyAdmin mainly
-    // But let's try a compatible schema
-
-    const isMySQL = db instanceof MySQLWrapper;
-    const autoInc = isMySQL ? 'AUTO_INCREMENT' : 'AUTOINCREMENT';
-    const primaryKey = isMySQL ? `INT PRIMARY KEY ${autoInc}` : 'INTEGER PRIMARY KEY AUTOINCREMENT';
-    const textType = isMySQL ? 'TEXT' : 'TEXT';
+// Connect and bring the schema up to date
+async function initDB() {
+    const db = await connectDB();
+    await runMigrations(db);
+    return db;
+}
 
-    // Users
+// --- MIGRATION RUNNER ---
+async function ensureMigrationsTable(db) {
     await db.exec(`
-        CREATE TABLE IF NOT EXISTS users (
+        CREATE TABLE IF NOT EXISTS schema_migrations (
             id VARCHAR(255) PRIMARY KEY,
-            name TEXT,
-            phone VARCHAR(255) UNIQUE,
-            image TEXT,
-            lastSeen TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-    `);
-
-    // Messages
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS messages (
-            id ${primaryKey},
-            chatId VARCHAR(255),
-            sender VARCHAR(255),
-            text TEXT,
-            type VARCHAR(50),
-            mediaUrl TEXT,
-            timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-    `);
-
-    // Status
-    await db.exec(`
-         CREATE TABLE IF NOT EXISTS status (
-            id ${primaryKey},
-            userId VARCHAR(255),
-            userName TEXT,
-            type VARCHAR(50),
-            content TEXT,
-            bgColor VARCHAR(50),
-            mediaUrl TEXT,
-            timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            expiresAt DATETIME
+            appliedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         );
     `);
+}
 
-    // Groups
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS groups_table (
-            id VARCHAR(255) PRIMARY KEY,
-            name TEXT,
-            icon TEXT,
-            description TEXT,
-            createdBy VARCHAR(255),
-            admins TEXT, -- JSON array of admin IDs
-            type VARCHAR(50) DEFAULT 'public',
-            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-    `);
+// Migrations (see migrations/index.js) not yet recorded in schema_migrations
+async function pendingMigrations(db) {
+    await ensureMigrationsTable(db);
+    const applied = new Set((await db.all("SELECT id FROM schema_migrations")).map(r => r.id));
+    return migrations.filter(m => !applied.has(m.id));
+}
 
-    // Migration for existing table (Safe to run)
+// On SQLite a migration and its schema_migrations row commit together, so one that
+// fails part-way leaves nothing behind and can be re-run. MySQL commits DDL implicitly.
+async function applyMigration(db, migration) {
+    const transactional = !isMySQL(db);
+    if (transactional) await db.exec('BEGIN');
     try {
-        await db.exec("ALTER TABLE groups_table ADD COLUMN type VARCHAR(50) DEFAULT 'public'");
-    } catch (e) { /* Ignore if exists */ }
-
-    // Group Members
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS group_members (
-            id ${primaryKey},
-            groupId VARCHAR(255),
-            userId VARCHAR(255),
-            role VARCHAR(50) DEFAULT 'member',
-            joinedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-    `);
-
-    // --- STATUS INTERACTIONS ---
-    // Views
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS status_views (
-            id ${primaryKey},
-            statusId VARCHAR(255),
-            userId VARCHAR(255),
-            userName TEXT,
-            timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            UNIQUE(statusId, userId)
-        );
-    `);
-
-    // Likes
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS status_likes (
-            id ${primaryKey},
-            statusId VARCHAR(255),
-            userId VARCHAR(255),
-            userName TEXT,
-            timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            UNIQUE(statusId, userId)
-        );
-    `);
+        await migration.up(db);
+        await db.run("INSERT INTO schema_migrations (id) VALUES (?)", [migration.id]);
+        if (transactional) await db.exec('COMMIT');
+    } catch (err) {
+        if (transactional) await db.exec('ROLLBACK');
+        throw err;
+    }
+}
 
-    // Comments
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS status_comments (
-            id ${primaryKey},
-            statusId VARCHAR(255),
-            userId VARCHAR(255),
-            userName TEXT,
-            content TEXT,
-            timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-    `);
+async function runMigrations(db) {
+    const pending = await pendingMigrations(db);
+    for (const migration of pending) {
+        console.log(`⏫ Applying migration ${migration.id}...`);
+        await applyMigration(db, migration);
+    }
+    if (pending.length) console.log(`✅ Applied ${pending.length} migration(s)`);
+    return pending.map(m => m.id);
 }
 
-module.exports = { initDB, getDB: () => pool ? new MySQLWrapper(pool) : require('sqlite').open() };
+module.exports = { initDB, connectDB, runMigrations, pendingMigrations, getDB: () => pool ? new MySQLWrapper(pool) : require('sqlite').open() };
 
 
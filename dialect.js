@@ -0,0 +1,14 @@
+// --- SQL DIALECT HELPERS ---
+// The app runs on SQLite locally and MySQL in production (see db.js); these cover the
+// few places the two differ. Migrations keep their own copies in migrations/schema.js
+// so they never depend on app modules.
+
+const isMySQL = (db) => db.constructor.name === 'MySQLWrapper';
+
+// Skips rows that would violate a unique key
+const insertIgnore = (db) => isMySQL(db) ? 'INSERT IGNORE' : 'INSERT OR IGNORE';
+
+// "?,?,?" for an IN (...) list
+const placeholders = (list) => list.map(() => '?').join(',');
+
+module.exports = { isMySQL, insertIgnore, placeholders };
@@ -0,0 +1,200 @@
+const { toUserId } = require('./identity');
+const { addParticipants } = require('./conversations');
+const { recordMembershipEvents } = require('./memberships');
+const { placeholders } = require('./dialect');
+
+// --- GROUP MANAGEMENT ---
+// group_members is the source of truth for membership and roles; groups_table.admins
+// is only mirrored from it for older clients. Changes return
+// { group, added, removed, notice } (notice: text for the system message in the
+// group's history) or { status, error } on refusal.
+
+const EDITABLE_FIELDS = ['name', 'icon', 'description', 'joinApproval'];
+const ROLES = ['admin', 'member'];
+
+const getMember = (db, groupId, userId) =>
+    db.get("SELECT id, role, joinedAt FROM group_members WHERE groupId = ? AND userId = ?", [groupId, userId]);
+
+// Group row plus members (with names) and admin IDs
+async function getGroup(db, groupId) {
+    const group = await db.get("SELECT * FROM groups_table WHERE id = ?", [String(groupId)]);
+    if (!group) return null;
+
+    const members = await db.all(
+        `SELECT gm.userId AS id, gm.role, gm.joinedAt, u.name
+         FROM group_members gm
+         LEFT JOIN users u ON gm.userId = u.phone
+         WHERE gm.groupId = ? ORDER BY gm.id`,
+        [group.id]
+    );
+    return {
+        ...group,
+        members: members.map(m => ({ ...m, isAdmin: m.role === 'admin' })),
+        admins: members.filter(m => m.role === 'admin').map(m => m.id)
+    };
+}
+
+async function syncAdminsColumn(db, groupId) {
+    const admins = await db.all("SELECT userId FROM group_members WHERE groupId = ? AND role = 'admin' ORDER BY id", [groupId]);
+    await db.run("UPDATE groups_table SET admins = ? WHERE id = ?", [JSON.stringify(admins.map(a => a.userId)), groupId]);
+}
+
+async function displayNames(db, userIds) {
+    if (!userIds.length) return [];
+    const rows = await db.all(`SELECT phone, name FROM users WHERE phone IN (${placeholders(userIds)})`, userIds);
+    const names = new Map(rows.map(r => [r.phone, r.name]));
+    return userIds.map(id => names.get(id) || id);
+}
+
+// { group } if the group exists and the actor is one of its admins, else { status, error }
+async function loadAsAdmin(db, actorId, groupId) {
+    const group = await db.get("SELECT id, createdBy FROM groups_table WHERE id = ?", [String(groupId)]);
+    if (!group) return { status: 404, error: "Group not found" };
+    const actor = await getMember(db, group.id, actorId);
+    if (!actor || actor.role !== 'admin') return { status: 403, error: "Only group admins can do that" };
+    return { group };
+}
+
+async function changed(db, groupId, { added = [], removed = [], notice = null }) {
+    await syncAdminsColumn(db, groupId);
+    return { group: await getGroup(db, groupId), added, removed, notice };
+}
+
+async function addMembers(db, actorId, groupId, userIds) {
+    if (!Array.isArray(userIds) || !userIds.length) return { status: 400, error: "userIds is required" };
+
+    const check = await loadAsAdmin(db, actorId, groupId);
+    if (check.error) return check;
+    const { id } = check.group;
+
+    const added = await insertMembers(db, id, userIds.map(toUserId).filter(Boolean), 'added', actorId);
+    if (!added.length) return { status: 409, error: "Already members" };
+
+    const [actorName, ...names] = await displayNames(db, [actorId, ...added]);
+    return changed(db, id, { added, notice: `${actorName} added ${names.join(', ')}` });
+}
+
+// Self-service join (invite link, approved join request), see invites.js
+async function joinGroup(db, userId, groupId) {
+    const added = await insertMembers(db, String(groupId), [userId], 'joined', userId);
+    if (!added.length) return { status: 409, error: "Already a member" };
+
+    const [name] = await displayNames(db, [userId]);
+    return changed(db, String(groupId), { added, notice: `${name} joined using an invite link` });
+}
+
+// Adds whoever isn't a member yet and returns their IDs
+async function insertMembers(db, groupId, userIds, eventType, actorId) {
+    const added = [];
+    for (const userId of new Set(userIds)) {
+        if (await getMember(db, groupId, userId)) continue;
+        await db.run("INSERT INTO group_members (groupId, userId, role) VALUES (?, ?, 'member')", [groupId, userId]);
+        added.push(userId);
+    }
+    if (added.length) {
+        await addParticipants(db, groupId, added);
+        await recordMembershipEvents(db, groupId, added, eventType, actorId);
+    }
+    return added;
+}
+
+// Drops the membership (and the chat from the user's list); shared by remove and leave
+async function dropMember(db, groupId, userId) {
+    await db.run("DELETE FROM group_members WHERE groupId = ? AND userId = ?", [groupId, userId]);
+    await db.run("DELETE FROM conversation_participants WHERE conversationId = ? AND userId = ?", [groupId, userId]);
+}
+
+async function removeMember(db, actorId, groupId, userId) {
+    const check = await loadAsAdmin(db, actorId, groupId);
+    if (check.error) return check;
+    const { id, createdBy } = check.group;
+
+    const target = toUserId(userId);
+    if (target === actorId) return { status: 400, error: "Use leave to exit a group" };
+    if (target === createdBy) return { status: 403, error: "The group creator can't be removed" };
+    if (!(await getMember(db, id, target))) return { status: 404, error: "Not a member" };
+
+    await dropMember(db, id, target);
+    await recordMembershipEvents(db, id, [target], 'removed', actorId);
+
+    const [actorName, targetName] = await displayNames(db, [actorId, target]);
+    return changed(db, id, { removed: [target], notice: `${actorName} removed ${targetName}` });
+}
+
+async function setRole(db, actorId, groupId, userId, role) {
+    if (!ROLES.includes(role)) return { status: 400, error: "role must be 'admin' or 'member'" };
+
+    const check = await loadAsAdmin(db, actorId, groupId);
+    if (check.error) return check;
+    const { id, createdBy } = check.group;
+
+    const target = toUserId(userId);
+    const member = await getMember(db, id, target);
+    if (!member) return { status: 404, error: "Not a member" };
+    if (member.role === role) return { status: 409, error: `Already ${role === 'admin' ? 'an admin' : 'a member'}` };
+    if (role === 'member' && target === createdBy) return { status: 403, error: "The group creator can't be demoted" };
+
+    await db.run("UPDATE group_members SET role = ? WHERE id = ?", [role, member.id]);
+    await recordMembershipEvents(db, id, [target], role === 'admin' ? 'promoted' : 'demoted', actorId);
+
+    const [actorName, targetName] = await displayNames(db, [actorId, target]);
+    const notice = role === 'admin'
+        ? `${actorName} made ${targetName} an admin`
+        : `${actorName} dismissed ${targetName} as admin`;
+    return changed(db, id, { notice });
+}
+
+// The last admin leaving hands the role to the longest-standing member
+async function leaveGroup(db, userId, groupId) {
+    const group = await db.get("SELECT id FROM groups_table WHERE id = ?", [String(groupId)]);
+    if (!group) return { status: 404, error: "Group not found" };
+    if (!(await getMember(db, group.id, userId))) return { status: 404, error: "Not a member" };
+
+    await dropMember(db, group.id, userId);
+    await recordMembershipEvents(db, group.id, [userId], 'left', userId);
+
+    const admin = await db.get("SELECT id FROM group_members WHERE groupId = ? AND role = 'admin'", [group.id]);
+    if (!admin) {
+        const next = await db.get("SELECT id, userId FROM group_members WHERE groupId = ? ORDER BY id LIMIT 1", [group.id]);
+        if (next) {
+            await db.run("UPDATE group_members SET role = 'admin' WHERE id = ?", [next.id]);
+            await recordMembershipEvents(db, group.id, [next.userId], 'promoted', null);
+        }
+    }
+
+    const [name] = await displayNames(db, [userId]);
+    return changed(db, group.id, { removed: [userId], notice: `${name} left` });
+}
+
+// fields: any of { name, icon, description, joinApproval }
+async function updateGroup(db, actorId, groupId, fields) {
+    const updates = EDITABLE_FIELDS.filter(f => fields && fields[f] !== undefined);
+    if (!updates.length) return { status: 400, error: `Nothing to update (${EDITABLE_FIELDS.join(', ')})` };
+    if (updates.includes('name') && !String(fields.name || '').trim()) return { status: 400, error: "Name can't be empty" };
+
+    const check = await loadAsAdmin(db, actorId, groupId);
+    if (check.error) return check;
+    const { id } = check.group;
+
+    const value = (f) => {
+        if (f === 'joinApproval') return fields[f] ? 1 : 0;
+        if (fields[f] === null) return null;
+        return f === 'name' ? String(fields[f]).trim() : String(fields[f]);
+    };
+    await db.run(
+        `UPDATE groups_table SET ${updates.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+        [...updates.map(value), id]
+    );
+
+    const [actorName] = await displayNames(db, [actorId]);
+    const notice = updates.includes('name') ? `${actorName} changed the group name to "${String(fields.name).trim()}"`
+        : updates.includes('icon') ? `${actorName} changed the group icon`
+            : updates.includes('description') ? `${actorName} changed the group description`
+                : `${actorName} turned ${fields.joinApproval ? 'on' : 'off'} admin approval to join`;
+    return changed(db, id, { notice });
+}
+
+module.exports = {
+    getGroup, getMember, loadAsAdmin, syncAdminsColumn, displayNames,
+    addMembers, joinGroup, removeMember, setRole, leaveGroup, updateGroup
+};
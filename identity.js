@@ -0,0 +1,66 @@
+require('dotenv').config();
+
+// --- CANONICAL USER IDENTITY ---
+// A user is identified by their phone number in E.164 form ("+919876543210").
+// Every user ID, room name, member row and private chat ID goes through here.
+
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '91').replace(/\D/g, '');
+
+// Returns "+<country><number>" or null if the input can't be a phone number
+function normalizePhone(input, countryCode = DEFAULT_COUNTRY_CODE) {
+    if (input === null || input === undefined) return null;
+    const raw = String(input).trim();
+    let digits = raw.replace(/\D/g, '');
+
+    if (!raw.startsWith('+')) {
+        if (digits.startsWith('00')) {
+            digits = digits.slice(2); // international dialing prefix
+        } else if (digits.length === 11 && digits.startsWith('0')) {
+            digits = countryCode + digits.slice(1); // national trunk prefix
+        } else if (digits.length <= 10) {
+            digits = countryCode + digits; // national number
+        }
+    }
+
+    if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) return null;
+    return `+${digits}`;
+}
+
+// Canonical user ID; non-phone legacy IDs (e.g. guest IDs) are kept verbatim
+const toUserId = (id) => normalizePhone(id) || (id ? String(id) : null);
+
+// Any ID with an underscore is a private chat ID (group IDs never have one); only
+// well-formed ones (see privateChatUsers) have participants
+const isPrivateChatId = (chatId) => String(chatId).includes('_');
+
+// Private chats are "<userA>_<userB>" sorted, so both sides compute the same ID
+const privateChatId = (a, b) => [toUserId(a), toUserId(b)].sort().join('_');
+
+// Both (sorted) user IDs of "<phone>_<phone>", or null for anything else
+function privateChatUsers(chatId) {
+    const parts = String(chatId).split('_');
+    if (parts.length !== 2) return null;
+
+    const users = parts.map(part => normalizePhone(part));
+    return users.every(Boolean) ? users.sort() : null;
+}
+
+// Group IDs are kept as-is (don't slice timestamps!), and so are malformed private IDs
+function normalizeChatId(chatId) {
+    const safeChatId = String(chatId);
+    if (!isPrivateChatId(safeChatId)) return safeChatId;
+
+    const users = privateChatUsers(safeChatId);
+    return users ? users.join('_') : safeChatId;
+}
+
+// Both user IDs of a private chat, or [] for a group or a malformed private ID
+const chatParticipants = (chatId) => isPrivateChatId(chatId) ? privateChatUsers(chatId) || [] : [];
+
+const sameUser = (a, b) => !!a && !!b && toUserId(a) === toUserId(b);
+
+module.exports = {
+    DEFAULT_COUNTRY_CODE,
+    normalizePhone, toUserId, sameUser,
+    isPrivateChatId, privateChatId, normalizeChatId, chatParticipants
+};
@@ -4,11 +4,44 @@ const path = require('path');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const multer = require('multer');
+const crypto = require('crypto');
+const os = require('os');
 const { initDB, getDB } = require('./db');
+const { issueTokens, verifyRefreshToken, requireAuth, authenticateSocket } = require('./auth');
+const { createSmsProvider } = require('./sms');
+const { createStorage } = require('./storage');
+const { createRateLimiter } = require('./ratelimit');
+const media = require('./media');
+const receipts = require('./receipts');
+const messages = require('./messages');
+const reactions = require('./reactions');
+const conversations = require('./conversations');
+const memberships = require('./memberships');
+const search = require('./search');
+const groups = require('./groups');
+const invites = require('./invites');
+const statuses = require('./statuses');
+const calls = require('./calls');
+const { createPresence } = require('./presence');
+const { normalizePhone, toUserId, sameUser, isPrivateChatId, normalizeChatId, chatParticipants } = require('./identity');
+const { isMySQL, placeholders } = require('./dialect');
 require('dotenv').config();
 
 const app = express();
 
+// Behind a reverse proxy (Railway, ngrok) set TRUST_PROXY to the hop count so req.ip
+// is the client's address, not the proxy's. Per-IP rate limits depend on it: without
+// it every client shares the proxy's IP and one limit. Railway (a single edge proxy,
+// detected by the variables it injects) defaults to 1.
+const onRailway = !!(process.env.RAILWAY_ENVIRONMENT_NAME || process.env.RAILWAY_ENVIRONMENT);
+const trustProxy = process.env.TRUST_PROXY || (onRailway ? '1' : null);
+if (trustProxy) {
+    const hops = Number(trustProxy);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : trustProxy);
+} else if (process.env.NODE_ENV === 'production') {
+    console.warn('⚠️ TRUST_PROXY is not set: behind a proxy, all clients share one IP for per-IP rate limits');
+}
+
 // Middleware to handle ngrok browser warning
 app.use((req, res, next) => {
     res.setHeader('ngrok-skip-browser-warning', 'true');
@@ -42,30 +75,104 @@ app.get('/api', (req, res) => {
     });
 });
 
-// DEBUG ROUTE (Temporary)
-app.get('/api/debug-db', async (req, res) => {
+// --- OTP STORE (Simple In-Memory) ---
+const otpStore = new Map(); // Stores phone -> { code, expires, attempts }
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+
+// --- SMS PROVIDER (console / file / fast2sms, see sms.js) ---
+const smsProvider = createSmsProvider();
+console.log(`📨 SMS provider: ${smsProvider.name}`);
+
+// --- RATE LIMITS (per IP / phone / user, see ratelimit.js) ---
+const limiter = createRateLimiter();
+console.log(`🚦 Rate limit store: ${limiter.store}`);
+
+const byIp = (req) => req.ip;
+const byPhone = (req) => normalizePhone(req.body.phone);
+const byUser = (req) => req.user.id;
+
+// Send OTP
+app.post('/api/otp/send', limiter.middleware('otp_send_ip', byIp), limiter.middleware('otp_send_phone', byPhone), async (req, res) => {
+    // E.164, e.g. +919876543210
+    const number = normalizePhone(req.body.phone);
+
+    if (!number) {
+        return res.status(400).json({ error: "Invalid phone number" });
+    }
+
+    // Generate 6 digit OTP
+    const otp = String(crypto.randomInt(100000, 1000000));
+
+    // Store OTP (Expires in 5 mins, replaces any pending code)
+    otpStore.set(number, {
+        code: otp,
+        expires: Date.now() + OTP_TTL_MS,
+        attempts: 0
+    });
+
     try {
-        if (!db) return res.status(500).json({ error: 'Database instance is null' });
+        await smsProvider.sendOtp(number, otp);
+        res.json({ success: true, message: "OTP Sent" });
+    } catch (err) {
+        console.error('❌ OTP Delivery Failed:', err.message);
+        otpStore.delete(number);
+        res.status(502).json({ error: "Failed to send OTP" });
+    }
+});
 
-        // 1. Check Tables
-        const tables = await db.all("SELECT name FROM sqlite_master WHERE type='table'");
+// Verify OTP -> issue session tokens
+app.post('/api/otp/verify', limiter.middleware('otp_verify_ip', byIp), (req, res) => {
+    const { phone, code } = req.body;
+    const number = normalizePhone(phone);
+    const entry = otpStore.get(number);
 
-        // 2. Check Last 5 Messages
-        const messages = await db.all("SELECT * FROM messages ORDER BY id DESC LIMIT 5");
+    if (!entry) {
+        return res.status(400).json({ error: "No OTP requested for this number" });
+    }
+    if (Date.now() > entry.expires) {
+        otpStore.delete(number);
+        return res.status(400).json({ error: "OTP expired" });
+    }
+    if (entry.attempts >= OTP_MAX_ATTEMPTS) {
+        otpStore.delete(number);
+        return res.status(429).json({ error: "Too many attempts, request a new OTP" });
+    }
 
-        res.json({
-            status: 'Database Connected',
-            tables: tables,
-            recent_messages: messages
-        });
-    } catch (e) {
-        res.status(500).json({ error: e.message, stack: e.stack });
+    entry.attempts++;
+    const given = Buffer.from(String(code || ''));
+    const expected = Buffer.from(entry.code);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: "Invalid OTP", attemptsLeft: OTP_MAX_ATTEMPTS - entry.attempts });
+    }
+
+    // Single use
+    otpStore.delete(number);
+    res.json({ success: true, userId: number, ...issueTokens(number) });
+});
+
+// Exchange a refresh token for a new token pair
+app.post('/api/auth/refresh', (req, res) => {
+    const payload = verifyRefreshToken(req.body.refreshToken);
+    if (!payload) {
+        return res.status(401).json({ error: "Invalid refresh token" });
     }
+    const userId = toUserId(payload.sub);
+    res.json({ success: true, userId, ...issueTokens(userId) });
 });
 
+// Everything below requires a session token
+app.use('/api', requireAuth);
+
 // Initialize Database
 initDB().then(database => {
     db = database;
+    statuses.startStatusSweeper(db, { deleteMedia: (url, ownerId) => media.releaseMedia(db, mediaStorage, url, ownerId) });
+    activeCalls = calls.createCalls(db, { onRingTimeout: onCallRangOut });
+    groupCalls = calls.createGroupCalls(db);
+    calls.closeStaleCalls(db)
+        .then(count => { if (count) console.log(`📵 Closed ${count} call(s) left open by a restart`); })
+        .catch(e => console.error("Stale call cleanup error", e));
     const PORT = process.env.PORT || 5000;
     server.listen(PORT, '0.0.0.0', () => {
         console.log(`🚀 Server running on port ${PORT}`);
@@ -78,67 +185,32 @@ initDB().then(database => {
 
 const fs = require('fs');
 
-// --- OTP STORE (Simple In-Memory) ---
-const otpStore = new Map(); // Stores phone -> { code, expires }
-
-// --- FAST2SMS CONFIG ---
-const FAST2SMS_API_KEY = "JIxboAdQND7ME8K6S30qOYvh5VnULymWP1gBptcR9ZlsiXzFrjtrZzya83oELYxA4e6qIRFSvPUJBNbk"; // Replace with your key
-
-// Send OTP
-app.post('/api/otp/send', async (req, res) => {
-    let { phone } = req.body;
-
-    // Ensure 10 digit number
-    const cleanPhone = phone.replace(/[^0-9]/g, '');
-    const number = cleanPhone.slice(-10);
+// Register/Update User
+app.post('/api/users/register', async (req, res) => {
+    let { name, phone, image } = req.body;
+    phone = normalizePhone(phone || req.user.id);
 
-    if (cleanPhone.length < 10) {
-        return res.status(400).json({ error: "Invalid phone number" });
+    // Users can only register the number they verified
+    if (phone !== req.user.id) {
+        return res.status(403).json({ error: "Phone does not match session" });
     }
 
-    // Generate 6 digit OTP (or fixed)
-    const otp = Math.floor(100000 + Math.random() * 900000);
-
-    // Store OTP (Expires in 5 mins)
-    otpStore.set(number, {
-        code: otp,
-        expires: Date.now() + 5 * 60 * 1000
-    });
-
-    console.log(`🔒 Generated OTP for ${number}: ${otp}`);
-
-    // SIMULATED OTP (No Fast2SMS)
-    // Ensures login always works without external keys/errors
-    res.json({
-        success: true,
-        message: "OTP Sent (Simulated). Code: " + otp,
-        isTest: true,
-        debugOtp: otp
-    });
-});
-
-// Verify OTP
-app.post('/api/otp/verify', (req, res) => {
-    // BYPASS: Accept ANY code for easy login
-    return res.json({ success: true });
-});
-
-// Register/Update User
-app.post('/api/users/register', async (req, res) => {
-    let { id, name, phone, image } = req.body;
-    const cleanPhone = phone.replace(/[^0-9]/g, '');
     try {
+        // The row is always the session user's own (a body `id` is ignored); rows from
+        // before canonical IDs keep their old id
+        const existing = await db.get("SELECT id FROM users WHERE phone = ?", [req.user.id]);
+        const id = existing ? existing.id : req.user.id;
+
         // Dynamic Query based on DB Type
-        const isMySQL = db.constructor.name === 'MySQLWrapper';
         let query;
 
-        if (isMySQL) {
+        if (isMySQL(db)) {
             query = "INSERT INTO users (id, name, phone, image) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE name=VALUES(name), phone=VALUES(phone), image=VALUES(image), lastSeen=CURRENT_TIMESTAMP";
         } else {
             query = "INSERT INTO users (id, name, phone, image) VALUES (?, ?, ?, ?) ON CONFLICT(id) DO UPDATE SET name=excluded.name, phone=excluded.phone, image=excluded.image, lastSeen=CURRENT_TIMESTAMP";
         }
 
-        await db.run(query, [id, name, cleanPhone, image]);
+        await db.run(query, [id, name, phone, image]);
         res.status(200).json({ success: true });
     } catch (err) {
         console.error('Registration Error:', err);
@@ -148,9 +220,11 @@ app.post('/api/users/register', async (req, res) => {
 
 // Get User by Phone
 app.get('/api/users/phone/:phone', async (req, res) => {
-    const cleanPhone = req.params.phone.replace(/[^0-9]/g, '');
+    const phone = normalizePhone(req.params.phone);
+    if (!phone) return res.status(400).json({ error: "Invalid phone number" });
+
     try {
-        const row = await db.get("SELECT * FROM users WHERE phone = ?", [cleanPhone]);
+        const row = await db.get("SELECT * FROM users WHERE phone = ?", [phone]);
         if (row) {
             res.status(200).json(row);
         } else {
@@ -161,18 +235,78 @@ app.get('/api/users/phone/:phone', async (req, res) => {
     }
 });
 
+// --- MESSAGE HISTORY PAGINATION ---
+// ?before=<id> pages backwards (default: newest page), ?after=<id> pages forwards.
+// Each page is returned oldest-first; nextCursor continues in the same direction.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function parsePageQuery(query) {
+    const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const before = query.before !== undefined ? parseInt(query.before, 10) : null;
+    const after = query.after !== undefined ? parseInt(query.after, 10) : null;
+
+    if (limit < 1 || Number.isNaN(before) || Number.isNaN(after) || (before !== null && after !== null)) {
+        return null;
+    }
+    return { limit, before, after };
+}
+
+async function fetchMessagePage(chatIds, { limit, before, after }, viewerId) {
+    const params = [viewerId, ...chatIds];
+    // Skip messages the viewer deleted "for me"
+    let sql = `SELECT m.* FROM messages m
+               LEFT JOIN message_hidden h ON h.messageId = m.id AND h.userId = ?
+               WHERE m.chatId IN (${placeholders(chatIds)}) AND h.id IS NULL`;
+
+    if (after !== null) {
+        sql += " AND m.id > ? ORDER BY m.id ASC";
+        params.push(after);
+    } else {
+        if (before !== null) {
+            sql += " AND m.id < ?";
+            params.push(before);
+        }
+        sql += " ORDER BY m.id DESC";
+    }
+    // limit is a validated integer (MySQL prepared statements reject LIMIT ?)
+    sql += ` LIMIT ${limit + 1}`;
+
+    const rows = await db.all(sql, params);
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (after === null) page.reverse();
+
+    await messages.attachQuotes(db, page);
+    await reactions.attachReactions(db, page);
+    await media.attachMedia(db, mediaStorage, page);
+
+    // Tick status for the viewer's own messages
+    const own = page.filter(m => m.sender === viewerId).map(m => m.id);
+    const deliveryStatus = await receipts.aggregateStatus(db, own);
+    own.forEach(id => {
+        const m = page.find(p => p.id === id);
+        m.status = deliveryStatus[id] || 'sent';
+    });
+
+    let nextCursor = null;
+    if (hasMore) nextCursor = after !== null ? page[page.length - 1].id : page[0].id;
+
+    return { messages: page, nextCursor, hasMore };
+}
+
 // Get Messages for a Chat
 app.get('/api/messages/:chatId', async (req, res) => {
-    let { chatId } = req.params;
-    const clean = (id) => id.toString().replace(/\D/g, '').slice(-10);
-    const normChatId = chatId.split('_').map(clean).sort().join('_');
+    const normChatId = normalizeChatId(req.params.chatId);
+
+    const page = parsePageQuery(req.query);
+    if (!page) return res.status(400).json({ error: "Invalid pagination parameters" });
 
     try {
-        const rows = await db.all(
-            "SELECT * FROM messages WHERE chatId = ? OR chatId = ? ORDER BY timestamp ASC",
-            [chatId, normChatId]
-        );
-        res.status(200).json(rows);
+        if (!(await canJoinChat(req.user.id, normChatId))) {
+            return res.status(403).json({ error: "Not a participant" });
+        }
+        res.status(200).json(await fetchMessagePage([normChatId], page, req.user.id));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -180,160 +314,573 @@ app.get('/api/messages/:chatId', async (req, res) => {
 
 // Get Group Messages
 app.get('/api/groups/:groupId/messages', async (req, res) => {
+    const page = parsePageQuery(req.query);
+    if (!page) return res.status(400).json({ error: "Invalid pagination parameters" });
+
     try {
         const { groupId } = req.params;
-        const rows = await db.all("SELECT * FROM messages WHERE chatId = ? ORDER BY timestamp ASC", [String(groupId)]);
-        res.status(200).json(rows);
+        if (isPrivateChatId(groupId) || !(await canJoinChat(req.user.id, groupId))) {
+            return res.status(403).json({ error: "Not a group member" });
+        }
+        res.status(200).json(await fetchMessagePage([String(groupId)], page, req.user.id));
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-// Get Chats List for a User (Groups + Private)
-app.get('/api/chats/:userId', async (req, res) => {
-    const rawUserId = req.params.userId;
-
-    // Normalize ID for consistent DB querying
-    const clean = (id) => {
-        if (!id) return '';
-        return String(id).replace(/\D/g, '').slice(-10);
+// --- RECONNECT SYNC ---
+// Everything missed while offline, across all of the user's chats:
+// ?since=<last message id>&sinceEvent=<last membership event id>, or ?sinceTime=<ISO>
+// for both. Keep calling with the returned cursor while hasMore.
+async function syncSince(userId, query) {
+    const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    if (limit < 1) return { status: 400, error: "Invalid limit" };
+
+    let since = query.since !== undefined ? parseInt(query.since, 10) : null;
+    let sinceEvent = query.sinceEvent !== undefined ? parseInt(query.sinceEvent, 10) : null;
+    if (Number.isNaN(since) || Number.isNaN(sinceEvent)) return { status: 400, error: "Invalid cursor" };
+
+    if (query.sinceTime !== undefined) {
+        const time = new Date(query.sinceTime);
+        if (Number.isNaN(time.getTime())) return { status: 400, error: "Invalid sinceTime" };
+        const at = messages.toDbTimestamp(time);
+        if (since === null) {
+            const row = await db.get("SELECT MAX(id) AS id FROM messages WHERE timestamp <= ?", [at]);
+            since = Number(row?.id) || 0;
+        }
+        if (sinceEvent === null) sinceEvent = await memberships.lastEventIdAt(db, at);
+    }
+    if (since === null) return { status: 400, error: "since or sinceTime is required" };
+    if (sinceEvent === null) sinceEvent = 0;
+
+    const chats = await db.all("SELECT conversationId FROM conversation_participants WHERE userId = ?", [userId]);
+    const page = chats.length
+        ? await fetchMessagePage(chats.map(c => c.conversationId), { limit, before: null, after: since }, userId)
+        : { messages: [], hasMore: false };
+
+    const events = await memberships.membershipEventsSince(db, userId, sinceEvent, limit);
+    const eventsHasMore = events.length > limit;
+    const eventPage = events.slice(0, limit);
+
+    // Full chat-list entries for groups the user was added to
+    const addedTo = new Set(eventPage.filter(e => e.userId === userId && ['added', 'joined'].includes(e.type)).map(e => e.groupId));
+    const groups = addedTo.size ? (await conversations.listChats(db, userId)).filter(c => addedTo.has(c.id)) : [];
+
+    return {
+        messages: page.messages,
+        memberships: eventPage,
+        groups,
+        cursor: {
+            since: page.messages.length ? page.messages[page.messages.length - 1].id : since,
+            sinceEvent: eventPage.length ? eventPage[eventPage.length - 1].id : sinceEvent
+        },
+        hasMore: page.hasMore || eventsHasMore
     };
-    const cleanId = clean(rawUserId);
+}
 
-    if (!cleanId || cleanId.length < 5) {
-        return res.status(400).json({ error: "Invalid User ID" });
+app.get('/api/sync', async (req, res) => {
+    try {
+        const result = await syncSince(req.user.id, req.query);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json(result);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
     }
+});
 
-    // Support both Raw (+91..) and Clean (91..) IDs to handle legacy data
-    const possibleIds = [rawUserId, cleanId, `+${cleanId}`].filter(Boolean);
-    const placeholders = possibleIds.map(() => '?').join(',');
+// --- SEARCH ---
+// ?q=<words>&chatId=&sender=&type=&from=<ISO>&to=<ISO>&limit=&offset=
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+app.get('/api/search/messages', async (req, res) => {
+    const { q, chatId, sender, type, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+    const offset = parseInt(req.query.offset || '0', 10);
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if (limit < 1 || !(offset >= 0)) return res.status(400).json({ error: "Invalid pagination parameters" });
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+        return res.status(400).json({ error: "Invalid date range" });
+    }
 
     try {
-        const uniqueChats = [];
+        const result = await search.searchMessages(db, req.user.id, {
+            q,
+            chatId: chatId ? normalizeChatId(chatId) : null,
+            sender: sender ? toUserId(sender) : null,
+            type: type || null,
+            from: fromDate,
+            to: toDate,
+            limit,
+            offset
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json(result);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-        // 1. FETCH GROUPS (Robust Query with Fallbacks)
-        console.log(`🔍 fetching groups for: ${JSON.stringify(possibleIds)}`);
+// Delivery/read breakdown for a message (only its sender may see it)
+app.get('/api/messages/:messageId/receipts', async (req, res) => {
+    try {
+        const message = await db.get("SELECT id, chatId, sender FROM messages WHERE id = ?", [req.params.messageId]);
+        if (!message) return res.status(404).json({ error: "Message not found" });
+        if (message.sender !== req.user.id) return res.status(403).json({ error: "Forbidden" });
 
-        try {
-            const groups = await db.all(
-                `SELECT DISTINCT g.* FROM groups_table g 
-                 JOIN group_members gm ON g.id = gm.groupId 
-                 WHERE gm.userId LIKE ? OR gm.userId LIKE ? OR gm.userId = ?`,
-                [`%${cleanId}`, `%${cleanId}%`, rawUserId]
-            );
-            console.log(`✅ Found ${groups.length} groups for user ${cleanId}`);
-
-            for (const g of groups) {
-                // Get Last Message for Group
-                const lastMsg = await db.get("SELECT * FROM messages WHERE chatId = ? ORDER BY timestamp DESC LIMIT 1", [g.id]);
-
-                // Get Members with Names
-                const members = await db.all(`
-                SELECT gm.userId as id, gm.role, u.name 
-                FROM group_members gm 
-                LEFT JOIN users u ON gm.userId = u.phone 
-                WHERE gm.groupId = ?
-            `, [g.id]);
-
-                uniqueChats.push({
-                    id: g.id,
-                    name: g.name,
-                    isGroup: true,
-                    members: members.map(m => ({ id: m.id, isAdmin: m.role === 'admin' })),
-                    lastMessage: lastMsg ? (lastMsg.text || 'Media') : 'Tap to chat',
-                    time: lastMsg ? lastMsg.timestamp : (g.createdAt || new Date().toISOString()),
-                    unread: 0,
-                    avatar: g.icon,
-                    createdBy: g.createdBy,
-                    admins: JSON.parse(g.admins || '[]'),
-                    type: g.type // Fix: Pass group type (public/private) to frontend
-                });
-            }
-        } catch (e) {
-            console.error("Error fetching groups:", e);
-            // Continue to private chats even if groups fail
+        res.json({ messageId: message.id, chatId: message.chatId, ...(await receipts.getReceipts(db, message.id)) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- SENDING ---
+// Store a message and return it as clients receive it (replyTo resolved)
+async function insertMessage(sender, chatId, { text, type, mediaUrl, replyToId = null, isForwarded = 0, clientMsgId = null }) {
+    const result = await db.run(
+        "INSERT INTO messages (chatId, sender, text, type, mediaUrl, replyToId, isForwarded, clientMsgId) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        [chatId, sender, text || null, type || 'text', mediaUrl || null, replyToId || null, isForwarded ? 1 : 0, clientMsgId]
+    );
+
+    const message = {
+        id: result.lastID,
+        chatId,
+        sender,
+        text: text || null,
+        type: type || 'text',
+        mediaUrl: mediaUrl || null,
+        replyToId: replyToId || null,
+        isForwarded: isForwarded ? 1 : 0,
+        clientMsgId,
+        timestamp: new Date().toISOString()
+    };
+    await messages.attachQuotes(db, [message]);
+    await media.attachMedia(db, mediaStorage, [message]);
+    return message;
+}
+
+// Update the chat list, fan the message out and open receipts for every recipient
+async function dispatchMessage(message) {
+    await conversations.touchConversation(db, message.chatId, message);
+
+    // Members (and the creator) are joined to the group room on connect
+    emitToChat(message.chatId, 'receive_message', message);
+
+    try {
+        const recipients = isPrivateChatId(message.chatId)
+            ? chatParticipants(message.chatId)
+            : (await db.all("SELECT userId FROM group_members WHERE groupId = ?", [message.chatId])).map(m => m.userId);
+        await receipts.createReceipts(db, message.id, recipients.filter(id => id !== message.sender));
+    } catch (e) { console.error("Receipts error", e); }
+}
+
+// Can this user post into the chat? Returns an error string, or null if allowed
+async function checkCanPost(userId, chatId) {
+    if (!(await canJoinChat(userId, chatId))) return 'Not a participant';
+    if (isPrivateChatId(chatId)) return null;
+
+    // Private groups: admins only
+    const group = await db.get("SELECT type FROM groups_table WHERE id = ?", [chatId]);
+    if (group && group.type === 'private' && !(await messages.isGroupAdmin(db, userId, chatId))) {
+        return 'Only admins can post in this group';
+    }
+    return null;
+}
+
+// --- FORWARDING ---
+// Copy a message (text and media) into each target chat the user may post in.
+// Returns { forwarded: [messages], failed: [{ chatId, error }] } or { status, error }
+const MAX_FORWARD_TARGETS = 5;
+
+async function forwardMessage(userId, messageId, targetChatIds) {
+    if (!Array.isArray(targetChatIds) || !targetChatIds.length) return { status: 400, error: "chatIds is required" };
+    const targets = [...new Set(targetChatIds.map(normalizeChatId))];
+    if (targets.length > MAX_FORWARD_TARGETS) {
+        return { status: 400, error: `Can forward to at most ${MAX_FORWARD_TARGETS} chats at once` };
+    }
+
+    const original = await messages.getMessage(db, messageId);
+    if (!original) return { status: 404, error: "Message not found" };
+    if (original.deletedAt) return { status: 409, error: "Message was deleted" };
+    // System notices (and anything else clients can't send themselves) stay where they are
+    if (!messages.MESSAGE_TYPES.includes(original.type)) return { status: 400, error: "This message can't be forwarded" };
+    if (!(await canJoinChat(userId, original.chatId))) return { status: 403, error: "Not a participant" };
+
+    // Every copy counts as a send against the message_send limit
+    for (let i = 0; i < targets.length; i++) {
+        const limit = await limiter.check('message_send', userId);
+        if (!limit.allowed) return { status: 429, error: "Too many requests, try again later", retryAfter: limit.retryAfter };
+    }
+
+    const forwarded = [];
+    const failed = [];
+    for (const target of targets) {
+        const error = await checkCanPost(userId, target);
+        if (error) {
+            failed.push({ chatId: target, error });
+            continue;
         }
+        const copy = await insertMessage(userId, target, {
+            text: original.text,
+            type: original.type,
+            mediaUrl: original.mediaUrl,
+            isForwarded: 1
+        });
+        await dispatchMessage(copy);
+        forwarded.push(copy);
+    }
 
-        // 2. FETCH PRIVATE CHATS
-        const rawMessages = await db.all("SELECT * FROM messages WHERE chatId LIKE ?", [`%${cleanId}%`]);
-        const seenChats = new Set();
+    if (forwarded.length) {
+        await db.run("UPDATE messages SET forwardCount = COALESCE(forwardCount, 0) + ? WHERE id = ?", [forwarded.length, original.id]);
+    }
+    return { forwarded, failed };
+}
 
-        // Add existing groups to seen to avoid duplication if msg logic overlaps (unlikely)
-        uniqueChats.forEach(c => seenChats.add(c.id));
+// Forward a message: { chatIds: [...] }
+app.post('/api/messages/:messageId/forward', async (req, res) => {
+    try {
+        const result = await forwardMessage(req.user.id, req.params.messageId, req.body.chatIds);
+        if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+        if (result.error) return res.status(result.status).json({ error: result.error, retryAfter: result.retryAfter });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-        rawMessages.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        // clean function hoisted to top
+// --- GROUP MANAGEMENT ---
+// After a change from groups.js: move sockets between rooms, post the system message
+// (before removed members leave the room, so they see it) and push the new group info
+async function publishGroupChange(actorId, result) {
+    if (result.error) return result;
+    const { group, added, removed, notice } = result;
 
-        for (const msg of rawMessages) {
-            if (!msg.chatId) continue;
+    added.forEach(id => {
+        io.in(id).socketsJoin(groupRoom(group.id));
+        io.to(id).emit('new_group_created', group);
+    });
+    if (notice) await dispatchMessage(await insertMessage(actorId, group.id, { text: notice, type: 'system' }));
+    removed.forEach(id => {
+        io.in(id).socketsLeave(groupRoom(group.id));
+        io.to(id).emit('removed_from_group', { groupId: group.id });
+    });
 
-            // If it's a group ID (no _ separator usually, or different format), stick to private logic
-            // Private chats strictly defined as containing userId
-            // Filter out group messages here if mixed?
-            // Assuming private chat is A_B format.
-            if (!String(msg.chatId).includes('_')) continue; // Skip groups
+    io.to(groupRoom(group.id)).emit('group_updated', group);
+    return result;
+}
 
-            const cleanParts = String(msg.chatId).split('_').map(clean).sort();
-            const normCid = cleanParts.join('_');
+// Shared response for the group management routes
+async function respondGroupChange(res, actorId, pending) {
+    try {
+        const result = await publishGroupChange(actorId, await pending);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true, group: result.group });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+}
 
-            if (seenChats.has(normCid)) continue;
+// Get Single Group Info (For Fresh Permissions); members only, outsiders use the invite preview
+app.get('/api/groups/:id', async (req, res) => {
+    try {
+        const group = await groups.getGroup(db, req.params.id);
+        if (!group) return res.status(404).json({ error: "Group not found" });
+        if (!group.members.some(m => m.id === req.user.id)) return res.status(403).json({ error: "Not a group member" });
+        res.json(group);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-            // Fix: userId doesn't exist, use cleanId
-            const myCleanId = cleanId;
-            const otherId = cleanParts.find(id => id !== myCleanId);
+// Update group info (admins): { name, icon, description }
+app.patch('/api/groups/:id', (req, res) =>
+    respondGroupChange(res, req.user.id, groups.updateGroup(db, req.user.id, req.params.id, req.body)));
 
-            if (!otherId || otherId === 'null' || otherId === 'undefined' || otherId.length < 10) continue;
+// Add members (admins): { userIds: [...] }
+app.post('/api/groups/:id/members', (req, res) =>
+    respondGroupChange(res, req.user.id, groups.addMembers(db, req.user.id, req.params.id, req.body.userIds)));
 
-            seenChats.add(normCid);
+// Remove a member (admins)
+app.delete('/api/groups/:id/members/:userId', (req, res) =>
+    respondGroupChange(res, req.user.id, groups.removeMember(db, req.user.id, req.params.id, req.params.userId)));
 
-            // Fetch user
-            const user = await db.get("SELECT name, image FROM users WHERE phone LIKE ?", [`%${otherId}`]);
+// Promote / demote (admins): { role: 'admin' | 'member' }
+app.patch('/api/groups/:id/members/:userId', (req, res) =>
+    respondGroupChange(res, req.user.id, groups.setRole(db, req.user.id, req.params.id, req.params.userId, req.body.role)));
 
-            uniqueChats.push({
-                id: normCid, // Map chatId to id
-                name: user ? user.name : otherId,
-                avatar: user ? user.image : `https://ui-avatars.com/api/?name=${otherId}&background=random`,
-                phone: otherId,
-                lastMessage: msg.text || 'Media',
-                time: msg.timestamp,
-                unread: 0,
-                isGroup: false,
-                isArchived: false
-            });
+app.post('/api/groups/:id/leave', (req, res) =>
+    respondGroupChange(res, req.user.id, groups.leaveGroup(db, req.user.id, req.params.id)));
+
+// --- GROUP INVITES ---
+// Shared response for routes that return a plain invites.js result
+async function respondInvites(res, pending) {
+    try {
+        const result = await pending;
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+}
+
+async function groupAdminIds(groupId) {
+    const admins = await db.all("SELECT userId FROM group_members WHERE groupId = ? AND role = 'admin'", [groupId]);
+    return admins.map(a => a.userId);
+}
+
+// A new join request goes to every admin's devices
+async function notifyJoinRequest(request) {
+    const user = await db.get("SELECT name, image FROM users WHERE phone = ?", [request.userId]);
+    const admins = await groupAdminIds(request.groupId);
+    if (admins.length) io.to(admins).emit('join_request', { ...request, name: user?.name || null, image: user?.image || null });
+}
+
+// Tell the requester and the admins, then apply the join like any other group change
+async function applyJoinDecision(actorId, groupId, requestId, approve) {
+    const result = await invites.decideJoinRequest(db, actorId, groupId, requestId, approve);
+    if (result.error) return result;
+
+    const { request, change } = result;
+    const admins = await groupAdminIds(request.groupId);
+    io.to([request.userId, ...admins]).emit('join_request_decided', {
+        requestId: request.id,
+        groupId: request.groupId,
+        userId: request.userId,
+        status: request.status
+    });
+    if (change) await publishGroupChange(request.userId, change);
+    return { request };
+}
+
+// Create an invite link (admins): { expiresInHours } (0 = never expires)
+app.post('/api/groups/:id/invites', (req, res) =>
+    respondInvites(res, invites.createInvite(db, req.user.id, req.params.id, req.body.expiresInHours)));
+
+app.get('/api/groups/:id/invites', (req, res) =>
+    respondInvites(res, invites.listInvites(db, req.user.id, req.params.id)));
+
+app.delete('/api/groups/:id/invites/:token', (req, res) =>
+    respondInvites(res, invites.revokeInvite(db, req.user.id, req.params.id, req.params.token)));
+
+// Preview before joining: name, icon, description, member count
+app.get('/api/invite/:token', (req, res) =>
+    respondInvites(res, invites.previewInvite(db, req.params.token)));
+
+// Join, or queue a join request when the group needs admin approval
+app.post('/api/invite/:token', async (req, res) => {
+    try {
+        const result = await invites.joinWithInvite(db, req.user.id, req.params.token);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        if (result.request) {
+            await notifyJoinRequest(result.request);
+            return res.json({ success: true, pending: true, request: result.request });
+        }
+        await publishGroupChange(req.user.id, result);
+        res.json({ success: true, pending: false, group: result.group });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Pending join requests (admins)
+app.get('/api/groups/:id/join-requests', (req, res) =>
+    respondInvites(res, invites.listJoinRequests(db, req.user.id, req.params.id)));
+
+// Approve or decline (admins): { approve: true | false }
+app.post('/api/groups/:id/join-requests/:requestId', (req, res) =>
+    respondInvites(res, applyJoinDecision(req.user.id, req.params.id, req.params.requestId, !!req.body.approve)));
+
+// --- EDIT & DELETE ---
+// Shared by the REST routes and socket events; returns { message } or { status, error }
+async function applyMessageUpdate(userId, messageId, action) {
+    let result;
+    if (action.type === 'edit') result = await messages.editMessage(db, userId, messageId, action.text);
+    else if (action.scope === 'me') result = await messages.deleteForMe(db, userId, messageId);
+    else result = await messages.deleteForEveryone(db, userId, messageId);
+
+    if (result.error) return result;
+
+    if (action.type === 'delete' && action.scope === 'me') {
+        // Only the user's own devices drop it
+        io.to(userId).emit('message_hidden', { id: result.message.id, chatId: result.message.chatId });
+    } else {
+        emitToChat(result.message.chatId, 'message_updated', result.message);
+    }
+    return result;
+}
+
+// Edit a message: { text }
+app.patch('/api/messages/:messageId', async (req, res) => {
+    try {
+        const result = await applyMessageUpdate(req.user.id, req.params.messageId, { type: 'edit', text: req.body.text });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true, message: result.message });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Delete a message: ?scope=everyone (default) | me
+app.delete('/api/messages/:messageId', async (req, res) => {
+    try {
+        const scope = req.query.scope === 'me' ? 'me' : 'everyone';
+        const result = await applyMessageUpdate(req.user.id, req.params.messageId, { type: 'delete', scope });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true, message: result.message });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- REACTIONS ---
+// Shared by the REST route and socket event; everyone in the chat gets the new totals
+async function applyReaction(userId, messageId, emoji) {
+    const result = await reactions.reactToMessage(db, userId, messageId, emoji);
+    if (result.error) return result;
+
+    emitToChat(result.message.chatId, 'message_reaction', {
+        messageId: result.message.id,
+        chatId: result.message.chatId,
+        userId,
+        emoji: emoji || null,
+        reactions: result.reactions
+    });
+    return result;
+}
+
+// React to a message: { emoji } (empty/null removes your reaction)
+app.put('/api/messages/:messageId/reaction', async (req, res) => {
+    try {
+        const result = await applyReaction(req.user.id, req.params.messageId, req.body.emoji);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true, reactions: result.reactions });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- READ STATE ---
+// Tell each affected sender (all of their devices) about the new receipts
+async function relayReceipts(readerId, changed, status) {
+    const batches = new Map(); // one event per (sender, chat)
+    changed.forEach(r => {
+        const key = `${r.sender}|${r.chatId}`;
+        if (!batches.has(key)) batches.set(key, []);
+        batches.get(key).push(r);
+    });
+
+    const deliveryStatus = await receipts.aggregateStatus(db, changed.map(r => r.messageId));
+    for (const rows of batches.values()) {
+        io.to(rows[0].sender).emit('message_status', {
+            chatId: rows[0].chatId,
+            userId: readerId,
+            status,
+            messageIds: rows.map(r => r.messageId),
+            statuses: Object.fromEntries(rows.map(r => [r.messageId, deliveryStatus[r.messageId]]))
+        });
+    }
+}
+
+// Move the user's last-read pointer, flip receipts to read and sync the user's other devices.
+// upToId is capped at the chat's latest message, so a bogus ID can't pre-read future ones
+async function markChatRead(userId, chatId, upToId) {
+    const normChatId = normalizeChatId(chatId);
+    const latest = await db.get("SELECT MAX(id) AS id FROM messages WHERE chatId = ?", [normChatId]);
+    const latestId = Number(latest?.id) || 0;
+    const requested = Number(upToId);
+    const lastId = Number.isFinite(requested) && requested > 0 ? Math.min(Math.floor(requested), latestId) : latestId;
+
+    await receipts.setLastRead(db, userId, normChatId, lastId);
+    const changed = await receipts.markRead(db, userId, normChatId, lastId);
+    if (changed.length) await relayReceipts(userId, changed, 'read');
+
+    const state = (await receipts.getReadState(db, userId, [normChatId]))[normChatId];
+    const payload = { chatId: normChatId, ...state };
+    io.to(userId).emit('unread_updated', payload);
+    return payload;
+}
+
+// Mark a chat as read: { upToId? }
+app.post('/api/chats/:chatId/read', async (req, res) => {
+    try {
+        if (!(await canJoinChat(req.user.id, req.params.chatId))) {
+            return res.status(403).json({ error: "Not a participant" });
         }
+        res.json({ success: true, ...(await markChatRead(req.user.id, req.params.chatId, req.body.upToId)) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-        uniqueChats.sort((a, b) => new Date(b.time) - new Date(a.time));
-        res.status(200).json(uniqueChats);
+// Get Chats List for a User (Groups + Private)
+app.get('/api/chats/:userId', async (req, res) => {
+    const userId = normalizePhone(req.params.userId);
+
+    if (!userId) {
+        return res.status(400).json({ error: "Invalid User ID" });
+    }
+    if (userId !== req.user.id) {
+        return res.status(403).json({ error: "Forbidden" });
+    }
 
+    try {
+        res.status(200).json(await conversations.listChats(db, userId));
     } catch (err) {
         console.error("Error in getUserChats:", err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// --- CLOUDINARY CONFIG ---
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
+// Call log for a user (newest first): ?limit=&before=<callId>
+app.get('/api/calls/:userId', async (req, res) => {
+    const userId = normalizePhone(req.params.userId);
+
+    if (!userId) {
+        return res.status(400).json({ error: "Invalid User ID" });
+    }
+    if (userId !== req.user.id) {
+        return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const page = parsePageQuery(req.query);
+    if (!page || page.after !== null) return res.status(400).json({ error: "Invalid pagination parameters" });
 
-cloudinary.config({
-    cloud_name: 'djrsvab8b',
-    api_key: '927344822344179',
-    api_secret: 'Q73j2dAbfXyGZlO6Ds5Q7ArWv2c'
+    try {
+        res.json(await calls.listCalls(db, userId, page));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
 });
 
-const storage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: {
-        folder: 'wavechat_media',
-        resource_type: 'auto' // Allow all formats (Images, Video, Audio, Raw)
+// Live group call, if any, so members can join late: { active, call }
+app.get('/api/groups/:id/call', async (req, res) => {
+    try {
+        if (isPrivateChatId(req.params.id) || !(await canJoinChat(req.user.id, req.params.id))) {
+            return res.status(403).json({ error: "Not a group member" });
+        }
+        const call = groupCalls.activeCall(String(req.params.id));
+        res.json({ active: !!call, call });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
     }
 });
 
-const upload = multer({ storage: storage });
+// --- MEDIA UPLOAD ---
+// Backend from STORAGE_DRIVER (Cloudinary in production, local disk otherwise, see
+// storage.js); type sniffing, size limits, dedupe and metadata in media.js
+const mediaStorage = createStorage();
+console.log(`🗄️ Media storage: ${mediaStorage.name}`);
+
+// Streamed to a temp file rather than buffered (documents may be 100 MB); removed once stored
+const upload = multer({ dest: os.tmpdir(), limits: { fileSize: media.MAX_UPLOAD_BYTES } });
 
-app.post('/api/upload', (req, res) => {
-    upload.single('file')(req, res, (err) => {
+app.post('/api/upload', limiter.middleware('upload', byUser), (req, res) => {
+    upload.single('file')(req, res, async (err) => {
         if (err) {
+            if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: "File too large" });
             console.error('❌ Upload Error Details:', err);
             return res.status(500).json({ error: err.message || "Upload Failed" });
         }
@@ -342,218 +889,503 @@ app.post('/api/upload', (req, res) => {
             return res.status(400).json({ error: "No file uploaded" });
         }
 
-        console.log('✅ File Uploaded to Cloudinary:', req.file.path);
-        // Force HTTPS to prevent Mixed Content errors
-        const secureUrl = req.file.path.replace(/^http:/, 'https:');
-        res.json({ url: secureUrl });
+        try {
+            const result = await media.storeUpload(db, mediaStorage, req.file, req.user.id);
+            if (result.error) return res.status(result.status).json({ error: result.error });
+
+            // Local URLs are relative unless PUBLIC_BASE_URL is set
+            const origin = `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`;
+            const absolute = (u) => u && u.startsWith('/') ? origin + u : u;
+            const stored = result.media;
+
+            console.log(`✅ File stored (${mediaStorage.name}${result.deduped ? ', deduped' : ''}):`, absolute(stored.url));
+            res.json({
+                ...stored,
+                url: absolute(stored.url),
+                thumbnailUrl: absolute(stored.thumbnailUrl),
+                posterUrl: absolute(stored.posterUrl),
+                deduped: result.deduped
+            });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        } finally {
+            fs.promises.unlink(req.file.path).catch(() => {});
+        }
     });
 });
 
+// --- STATUS UPDATES ---
+// See statuses.js; delivery and interaction events follow the status's audience rules
+app.get('/api/status', async (req, res) => {
+    try {
+        res.status(200).json(await statuses.listVisibleStatuses(db, req.user.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/status', limiter.middleware('status_post', byUser), async (req, res) => {
+    try {
+        const result = await statuses.createStatus(db, req.user.id, req.body);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        // The author's other devices and the audience only
+        io.to([req.user.id, ...result.recipients]).emit('new_status', result.newStatus);
+        res.status(200).json({ success: true, status: result.newStatus });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/status/:id/view', async (req, res) => {
+    try {
+        const result = await statuses.viewStatus(db, req.user.id, req.params.id, req.body.userName);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        io.to(result.authorId).emit('status_viewed', { statusId: req.params.id, userId: req.user.id });
+        res.json({ success: true });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/status/:id/like', async (req, res) => {
+    try {
+        const { userName } = req.body;
+        const result = await statuses.likeStatus(db, req.user.id, req.params.id, userName);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        io.to(result.authorId).emit('status_liked', { statusId: req.params.id, userId: req.user.id, userName });
+        res.json({ success: true });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/status/:id/comment', async (req, res) => {
+    try {
+        const { userName, content } = req.body;
+        const result = await statuses.commentOnStatus(db, req.user.id, req.params.id, userName, content);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        io.to(result.authorId).emit('status_commented', { statusId: req.params.id, userId: req.user.id, userName, content });
+        res.json({ success: true });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/status/:id/interactions', async (req, res) => {
+    try {
+        const result = await statuses.getInteractions(db, req.user.id, req.params.id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json(result);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
 // --- SOCKET.IO ---
-io.on('connection', (socket) => {
-    socket.on('join_chat', (chatId) => {
-        socket.join(chatId);
-    });
+// Handshake must carry an access token: io(url, { auth: { token } })
+io.use(authenticateSocket);
+
+// Reject a payload that claims to come from someone other than the socket's user
+const rejectAction = (socket, event, error, details = {}) => {
+    console.warn(`⛔ ${event} rejected for ${socket.data.userId}: ${error}`);
+    socket.emit('action_rejected', { event, error, ...details });
+};
+
+// Refuse a socket action: an error ack ({ success: false, status, error }) when the
+// client passed a callback, action_rejected otherwise
+function refuse(socket, event, ack, { status, error, ...details }) {
+    if (typeof ack === 'function') return ack({ success: false, status, error, ...details });
+    rejectAction(socket, event, error, details);
+}
+
+// Socket side of limiter.middleware: false (after refusing with 429) once the user is over the limit
+async function withinRateLimit(socket, event, rule, ack) {
+    let result;
+    try {
+        result = await limiter.check(rule, socket.data.userId);
+    } catch (e) {
+        console.error(`⚠️ Rate limit store error (${rule}):`, e.message);
+        return true;
+    }
+    if (result.allowed) return true;
 
-    socket.on('register', (userId) => {
-        if (!userId) return;
-        console.log(`📡 [DEBUG] Register Request: ${userId}`);
-        const normalized = userId.toString().replace(/\D/g, '').slice(-10);
-        socket.join(userId);
-        if (normalized.length === 10 && normalized !== userId) {
-            socket.join(normalized);
-            console.log(`✅ [DEBUG] Joined Normalized Room: ${normalized}`);
-        }
-        console.log(`👤 User Registered: ${userId}`);
+    refuse(socket, event, ack, { status: 429, error: "Too many requests, try again later", retryAfter: result.retryAfter });
+    return false;
+}
 
-        // Auto-join Group Rooms
-        try {
-            db.all("SELECT groupId FROM group_members WHERE userId = ?", [normalized])
-                .then(groups => {
-                    groups.forEach(g => {
-                        socket.join(g.groupId);
-                        console.log(`✅ [DEBUG] Auto-Joined Group: ${g.groupId}`);
-                    });
-                })
-                .catch(e => console.error("Auto-join error", e));
-
-            // Auto-join Groups Created by User (Fix for Legacy Groups)
-            db.all("SELECT id FROM groups_table WHERE createdBy = ? OR createdBy = ?", [userId, normalized])
-                .then(groups => {
-                    groups.forEach(g => {
-                        socket.join(g.id);
-                        console.log(`✅ [DEBUG] Auto-Joined Created Group: ${g.id}`);
-                    });
-                }).catch(e => { });
-
-        } catch (e) { }
-    });
+// Personal rooms are named by user ID and group rooms get a prefix, so a group can't
+// be created with an ID that puts its members in someone's personal room
+const groupRoom = (groupId) => `group:${groupId}`;
 
-    socket.on('send_message', async (data) => {
-        const { chatId, sender, text, type, mediaUrl } = data;
+// Join the personal room plus every group the user belongs to
+async function joinUserRooms(socket) {
+    const userId = socket.data.userId;
+    socket.join(userId);
 
-        console.log(`📨 [DEBUG] New Message from ${sender} in ${chatId}`);
+    try {
+        const memberOf = await db.all("SELECT groupId FROM group_members WHERE userId = ?", [userId]);
+        memberOf.forEach(g => socket.join(groupRoom(g.groupId)));
 
-        if (!chatId || !sender) {
-            console.error('❌ [DEBUG] Message rejected: Missing chatId or sender');
-            return;
-        }
+        console.log(`👤 User Connected: ${userId} (${memberOf.length} group rooms)`);
+    } catch (e) {
+        console.error("Auto-join error", e);
+    }
+}
 
-        const clean = (id) => id.toString().replace(/\D/g, '').slice(-10);
-        // Ensure chatId is a string to prevent crashes
-        const safeChatId = String(chatId);
+// Is the user allowed in this chat room?
+async function canJoinChat(userId, chatId) {
+    if (isPrivateChatId(chatId)) {
+        return chatParticipants(chatId).includes(userId);
+    }
+    const member = await db.get("SELECT id FROM group_members WHERE groupId = ? AND userId = ?", [String(chatId), userId]);
+    return !!member;
+}
+
+// Private chats reach both users' personal rooms (every device), groups their group room.
+// A malformed private ID has no participants (io.to([]) would reach every socket)
+function emitToChat(chatId, event, payload) {
+    const rooms = isPrivateChatId(chatId) ? chatParticipants(chatId) : [groupRoom(chatId)];
+    if (rooms.length) io.to(rooms).emit(event, payload);
+}
+
+// --- PRESENCE ---
+const presence = createPresence();
+
+// People who see this user's presence: their contacts (two-way private chats)
+async function broadcastPresence(userId, online, lastSeen = null) {
+    const contacts = await conversations.contactsOf(db, userId);
+    if (contacts.length) io.to(contacts).emit('presence_changed', { userId, online, lastSeen });
+}
+
+// Online flag + lastSeen for the user's contacts, sent once on connect
+async function sendPresenceSnapshot(socket) {
+    const contacts = await conversations.contactsOf(db, socket.data.userId);
+    if (!contacts.length) return socket.emit('presence_snapshot', []);
+
+    const rows = await db.all(
+        `SELECT phone, lastSeen FROM users WHERE phone IN (${placeholders(contacts)})`,
+        contacts
+    );
+    const lastSeen = new Map(rows.map(r => [r.phone, r.lastSeen && messages.toDate(r.lastSeen).toISOString()]));
+    socket.emit('presence_snapshot', contacts.map(id => ({
+        userId: id,
+        online: presence.isOnline(id),
+        lastSeen: lastSeen.get(id) || null
+    })));
+}
+
+// Typing goes to everyone else in the chat, not back to the typist's own devices
+function emitTyping(userId, chatId, isTyping) {
+    const event = isTyping ? 'typing_start' : 'typing_stop';
+    const payload = { chatId, userId };
+    if (isPrivateChatId(chatId)) {
+        const others = chatParticipants(chatId).filter(id => id !== userId);
+        if (others.length) io.to(others).emit(event, payload);
+    } else {
+        io.to(groupRoom(chatId)).except(userId).emit(event, payload);
+    }
+}
+
+// --- CALLS ---
+// State machine and history in calls.js; created once the database is up
+let activeCalls, groupCalls;
+
+// Tell the callee about a missed call now if they're online, otherwise on next connect
+async function notifyMissedCall(call) {
+    if (!presence.isOnline(call.calleeId)) return;
+    io.to(call.calleeId).emit('missed_call', call);
+    await calls.markMissedNotified(db, call.id);
+}
+
+// Nobody answered within CALL_RING_TIMEOUT_SECONDS: stop ringing on both sides
+async function onCallRangOut(call) {
+    io.to([call.callerId, call.calleeId]).emit('call_ended', { callId: call.id, outcome: call.outcome });
+    await notifyMissedCall(call);
+}
+
+// Ends the calls a disconnected socket was on and tells every device of the other party
+async function dropCallSocket(socket) {
+    for (const { call, userId } of await activeCalls.dropSocket(socket.id)) {
+        const otherId = call.callerId === userId ? call.calleeId : call.callerId;
+        io.to([otherId, userId]).emit('call_ended', { callId: call.id, outcome: call.outcome, duration: call.duration });
+        if (call.outcome === 'missed') await notifyMissedCall(call);
+    }
+    for (const { userId, ...result } of await groupCalls.dropSocket(socket.id)) {
+        await publishGroupCallLeave(userId, result);
+    }
+}
+
+// Roster update after someone left a group call; the last one out ends it and the
+// summary goes into the group history
+async function publishGroupCallLeave(userId, { session, ended }) {
+    io.to(groupRoom(session.groupId)).emit('participants_changed', { ...session, left: userId });
+    if (!ended) return;
+
+    const { callId, duration, participants, notice } = ended;
+    io.to(groupRoom(session.groupId)).emit('group_call_ended', { groupId: session.groupId, callId, duration, participants });
+    await dispatchMessage(await insertMessage(session.startedBy, session.groupId, { text: notice, type: 'system' }));
+}
+
+// Missed calls from while the user was offline, and a call that's still ringing for them
+async function deliverPendingCalls(socket) {
+    const userId = socket.data.userId;
+    for (const call of await calls.takeMissedCalls(db, userId)) socket.emit('missed_call', call);
+
+    const current = await activeCalls.currentCall(userId);
+    if (current && current.status === 'ringing' && current.calleeId === userId) {
+        const { id: callId, callerId, channelId, type } = current;
+        socket.emit('incoming_call', { callId, callerId, channelId, type });
+    }
+}
 
-        let normChatId;
-        // Private Chat (Phone_Phone) -> Normalization (Clean & Sort)
-        if (safeChatId.includes('_')) {
-            normChatId = safeChatId.split('_').map(clean).sort().join('_');
-        } else {
-            // Group Chat -> Keep Original ID (Don't slice timestamps!)
-            normChatId = safeChatId;
-        }
+io.on('connection', (socket) => {
+    joinUserRooms(socket);
+
+    const userId = socket.data.userId;
+    if (presence.connect(userId, socket.id)) {
+        broadcastPresence(userId, true).catch(e => console.error("Presence error", e));
+    }
+    sendPresenceSnapshot(socket).catch(e => console.error("Presence snapshot error", e));
+    deliverPendingCalls(socket).catch(e => console.error("Pending calls error", e));
 
+    socket.on('join_chat', async (chatId) => {
+        if (!chatId) return;
         try {
-            const result = await db.run(
-                "INSERT INTO messages (chatId, sender, text, type, mediaUrl) VALUES (?, ?, ?, ?, ?)",
-                [normChatId, sender, text || null, type || 'text', mediaUrl || null]
-            );
+            if (await canJoinChat(socket.data.userId, chatId)) {
+                socket.join(isPrivateChatId(chatId) ? normalizeChatId(chatId) : groupRoom(chatId));
+            } else {
+                rejectAction(socket, 'join_chat', 'Not a participant');
+            }
+        } catch (e) { console.error("join_chat error", e); }
+    });
 
-            const newMessage = {
-                id: result.lastID,
-                ...data,
-                chatId: normChatId,
-                timestamp: new Date().toISOString()
-            };
+    // Client (on reconnect): same fields as GET /api/sync, answered with sync_result
+    socket.on('sync', async (query) => {
+        try {
+            const result = await syncSince(userId, query || {});
+            if (result.error) return rejectAction(socket, 'sync', result.error);
+            socket.emit('sync_result', result);
+        } catch (e) { console.error("sync error", e); }
+    });
 
-            const parts = safeChatId.split('_');
-            if (parts.length === 2) {
-                const normParts = parts.map(clean);
-                const normReceiver = normParts.find(p => p !== clean(sender));
+    // Legacy: identity now comes from the handshake, the client-sent ID is ignored
+    socket.on('register', (userId) => {
+        if (userId && !sameUser(userId, socket.data.userId)) {
+            rejectAction(socket, 'register', 'User ID does not match session');
+        }
+    });
 
-                console.log(`🚀 Dispatching Msg to: ${normChatId} AND Receiver: ${normReceiver}`);
+    // Client: { chatId, text, type, mediaUrl, replyToId?, clientMsgId? }, ack(response)
+    // Everything is checked before the insert. The ack gets { success: true, message,
+    // duplicate } or { success: false, status, error }; a resend with a clientMsgId that
+    // was already stored acks the original message (duplicate: true) and isn't re-sent.
+    // clientMsgIds are unique per sender, so reusing one in another chat is refused (409).
+    socket.on('send_message', async (data, ack) => {
+        const sender = socket.data.userId;
+        const fail = (status, error) => refuse(socket, 'send_message', ack, { status, error });
+        const succeed = (message, duplicate) => { if (typeof ack === 'function') ack({ success: true, message, duplicate }); };
+        const alreadyStored = async (clientMsgId) => {
+            const existing = await messages.findByClientMsgId(db, sender, clientMsgId);
+            if (!existing) return null;
+            await messages.attachQuotes(db, [existing]);
+            await media.attachMedia(db, mediaStorage, [existing]);
+            return existing;
+        };
+
+        if (!data?.chatId) return fail(400, 'chatId is required');
+        if (data.sender && !sameUser(data.sender, sender)) return fail(403, 'Sender does not match session');
+
+        console.log(`📨 [DEBUG] New Message from ${sender} in ${data.chatId}`);
+
+        const validated = messages.validateNewMessage(data);
+        if (validated.error) return fail(validated.status, validated.error);
+        const { replyToId, clientMsgId } = validated.message;
+
+        // Private chats are canonical "<userA>_<userB>", group IDs are kept as-is
+        const normChatId = normalizeChatId(data.chatId);
 
-                // Emit to rooms
-                io.to(safeChatId).emit('receive_message', newMessage);
-                io.to(`${parts[1]}_${parts[0]}`).emit('receive_message', newMessage);
-                if (normReceiver) io.to(normReceiver).emit('receive_message', newMessage);
-                io.to(clean(sender)).emit('receive_message', newMessage); // Sync sender
-            } else {
-                // GROUP CHAT BROADCAST
+        try {
+            const existing = clientMsgId && await alreadyStored(clientMsgId);
+            if (existing && existing.chatId !== normChatId) return fail(409, 'clientMsgId was already used in another chat');
+            if (existing) return succeed(existing, true);
 
-                // FORCE JOIN (Failsafe)
-                socket.join(safeChatId);
-                console.log(`✅ [DEBUG] Socket forced to join group room: ${safeChatId}`);
+            if (!(await withinRateLimit(socket, 'send_message', 'message_send', ack))) return;
 
-                // Permission Check for Private Groups
-                try {
-                    const groupInfo = await db.get("SELECT type, createdBy FROM groups_table WHERE id = ?", [safeChatId]);
-
-                    // Legacy Fix: Ensure Creator gets message even if not in members
-                    if (groupInfo && groupInfo.createdBy) {
-                        const cleanCreator = clean(groupInfo.createdBy);
-                        io.to(groupInfo.createdBy).emit('receive_message', newMessage);
-                        io.to(cleanCreator).emit('receive_message', newMessage);
-                    }
-
-                    if (groupInfo && groupInfo.type === 'private') {
-                        const member = await db.get("SELECT role FROM group_members WHERE groupId = ? AND userId = ?", [safeChatId, clean(sender)]);
-                        if (!member || member.role !== 'admin') {
-                            console.log(`⛔ Blocked message from non-admin ${sender} in Private Group ${safeChatId}`);
-                            return;
-                        }
-                    }
-                } catch (e) { console.error("Permission check failed", e); }
-
-                console.log(`🚀 Dispatching Group Msg to: ${safeChatId}`);
-
-                // Helper to safely emit
-                const safeEmit = (targetId) => {
-                    if (!targetId) return;
-                    io.to(String(targetId)).emit('receive_message', newMessage); // Force String
-                    const c = clean(targetId);
-                    if (c) {
-                        io.to(c).emit('receive_message', newMessage);
-                        io.to('+' + c).emit('receive_message', newMessage);
-                    }
-                };
-
-                // 1. Emit to GROUP ROOM (Always)
-                io.to(safeChatId).emit('receive_message', newMessage);
-
-                // 2. Emit to SENDER (Sync - Always)
-                safeEmit(sender);
-
-                // 3. Emit to CREATOR (Legacy Fix)
-                if (groupInfo && groupInfo.createdBy) {
-                    safeEmit(groupInfo.createdBy);
-                }
+            // Includes the admins-only rule for private groups
+            const blocked = await checkCanPost(sender, normChatId);
+            if (blocked) return fail(403, blocked);
 
-                // 4. Emit to MEMBERS (Try-Catch)
-                try {
-                    const members = await db.all("SELECT userId FROM group_members WHERE groupId = ?", [safeChatId]);
-                    members.forEach(m => {
-                        safeEmit(m.userId);
-                    });
-                } catch (e) { console.error("Group dispatch error", e); }
+            // Replies must point at a message in the same chat
+            if (replyToId) {
+                const original = await messages.getMessage(db, replyToId);
+                if (!original || original.chatId !== normChatId) return fail(400, 'Reply target not found in this chat');
             }
+
+            if (presence.stopTyping(sender, normChatId)) emitTyping(sender, normChatId, false);
+
+            let stored;
+            try {
+                stored = await insertMessage(sender, normChatId, validated.message);
+            } catch (e) {
+                // Lost a race with a concurrent resend of the same clientMsgId
+                const raced = clientMsgId && await alreadyStored(clientMsgId);
+                if (raced && raced.chatId !== normChatId) return fail(409, 'clientMsgId was already used in another chat');
+                if (raced) return succeed(raced, true);
+                throw e;
+            }
+
+            // Only what was validated and stored goes out, never the raw client payload
+            console.log(`🚀 Dispatching Msg to: ${normChatId}`);
+            await dispatchMessage(stored);
+            succeed(stored, false);
         } catch (err) {
             console.error('❌ Insert Error:', err);
+            fail(500, 'Could not send message');
         }
     });
 
-    // Status Logic
-    app.post('/api/status', async (req, res) => {
-        const { userId, userName, type, content, bgColor, mediaUrl } = req.body;
-        const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    // Client: { messageId, chatIds: [...] }
+    // Acked like send_message: { success: true, forwarded, failed } or { success: false, status, error }
+    socket.on('forward_message', async (data, ack) => {
+        if (!data?.messageId) return refuse(socket, 'forward_message', ack, { status: 400, error: 'messageId is required' });
         try {
-            const result = await db.run(
-                "INSERT INTO status (userId, userName, type, content, bgColor, mediaUrl, expiresAt) VALUES (?, ?, ?, ?, ?, ?, ?)",
-                [userId, userName, type, content, bgColor, mediaUrl, expiresAt]
-            );
-            const newStatus = {
-                id: result.lastID,
-                userId, userName, type, content, bgColor, mediaUrl, expiresAt,
-                timestamp: new Date().toISOString()
-            };
-            io.emit('new_status', newStatus);
-            res.status(200).json({ success: true, status: newStatus });
-        } catch (err) {
-            res.status(500).json({ error: err.message });
+            const result = await forwardMessage(socket.data.userId, data.messageId, data.chatIds);
+            if (result.error) return refuse(socket, 'forward_message', ack, result);
+            if (typeof ack === 'function') return ack({ success: true, ...result });
+            result.failed.forEach(f => rejectAction(socket, 'forward_message', `${f.chatId}: ${f.error}`));
+        } catch (e) {
+            console.error("forward_message error", e);
+            refuse(socket, 'forward_message', ack, { status: 500, error: 'Could not forward message' });
         }
     });
 
-    // Get Status
-    app.get('/api/status', async (req, res) => {
+    // --- EDIT & DELETE ---
+    // Client: { messageId, text }
+    socket.on('edit_message', async (data) => {
+        if (!data?.messageId) return;
         try {
-            const rows = await db.all("SELECT * FROM status WHERE expiresAt > CURRENT_TIMESTAMP ORDER BY timestamp DESC");
-            res.status(200).json(rows);
-        } catch (err) {
-            res.status(500).json({ error: err.message });
-        }
+            const result = await applyMessageUpdate(socket.data.userId, data.messageId, { type: 'edit', text: data.text });
+            if (result.error) rejectAction(socket, 'edit_message', result.error);
+        } catch (e) { console.error("edit_message error", e); }
+    });
+
+    // Client: { messageId, scope: 'everyone' | 'me' }
+    socket.on('delete_message', async (data) => {
+        if (!data?.messageId) return;
+        try {
+            const scope = data.scope === 'me' ? 'me' : 'everyone';
+            const result = await applyMessageUpdate(socket.data.userId, data.messageId, { type: 'delete', scope });
+            if (result.error) rejectAction(socket, 'delete_message', result.error);
+        } catch (e) { console.error("delete_message error", e); }
+    });
+
+    // --- GROUP MANAGEMENT ---
+    // Same operations as the REST routes; results arrive as group_updated
+    const onGroupChange = (event, run) => socket.on(event, async (data) => {
+        if (!data?.groupId) return;
+        try {
+            const result = await publishGroupChange(userId, await run(data));
+            if (result.error) rejectAction(socket, event, result.error);
+        } catch (e) { console.error(`${event} error`, e); }
+    });
+
+    // Client: { groupId, name?, icon?, description? }
+    onGroupChange('update_group', (d) => groups.updateGroup(db, userId, d.groupId, d));
+    // Client: { groupId, userIds: [...] }
+    onGroupChange('add_group_members', (d) => groups.addMembers(db, userId, d.groupId, d.userIds));
+    // Client: { groupId, userId }
+    onGroupChange('remove_group_member', (d) => groups.removeMember(db, userId, d.groupId, d.userId));
+    // Client: { groupId, userId, role: 'admin' | 'member' }
+    onGroupChange('set_group_role', (d) => groups.setRole(db, userId, d.groupId, d.userId, d.role));
+    // Client: { groupId }
+    onGroupChange('leave_group', (d) => groups.leaveGroup(db, userId, d.groupId));
+
+    // Client: { groupId, requestId, approve: true | false }
+    socket.on('decide_join_request', async (data) => {
+        if (!data?.groupId || !data?.requestId) return;
+        try {
+            const result = await applyJoinDecision(userId, data.groupId, data.requestId, !!data.approve);
+            if (result.error) rejectAction(socket, 'decide_join_request', result.error);
+        } catch (e) { console.error("decide_join_request error", e); }
+    });
+
+    // --- TYPING ---
+    // Client: { chatId }; repeat typing_start every few seconds while typing,
+    // it expires server-side after TYPING_TIMEOUT_SECONDS without one
+    socket.on('typing_start', async (data) => {
+        if (!data?.chatId) return;
+        const chatId = normalizeChatId(data.chatId);
+        try {
+            if (!(await canJoinChat(userId, chatId))) return rejectAction(socket, 'typing_start', 'Not a participant');
+            const started = presence.startTyping(userId, chatId, () => emitTyping(userId, chatId, false));
+            if (started) emitTyping(userId, chatId, true);
+        } catch (e) { console.error("typing_start error", e); }
+    });
+
+    socket.on('typing_stop', (data) => {
+        if (!data?.chatId) return;
+        const chatId = normalizeChatId(data.chatId);
+        if (presence.stopTyping(userId, chatId)) emitTyping(userId, chatId, false);
+    });
+
+    // --- REACTIONS ---
+    // Client: { messageId, emoji } (emoji: null removes it)
+    socket.on('react_message', async (data) => {
+        if (!data?.messageId) return;
+        try {
+            const result = await applyReaction(socket.data.userId, data.messageId, data.emoji);
+            if (result.error) rejectAction(socket, 'react_message', result.error);
+        } catch (e) { console.error("react_message error", e); }
+    });
+
+    // --- DELIVERY & READ RECEIPTS ---
+    // Client: { messageIds: [...] } once messages reach the device
+    socket.on('message_delivered', async (data) => {
+        const ids = Array.isArray(data?.messageIds) ? data.messageIds : [data?.messageId];
+        try {
+            const changed = await receipts.markDelivered(db, socket.data.userId, ids);
+            if (changed.length) await relayReceipts(socket.data.userId, changed, 'delivered');
+        } catch (e) { console.error("message_delivered error", e); }
     });
 
-    socket.on('create_group', async (groupData) => {
-        console.log('Creating Group:', groupData.name);
+    // Client: { chatId, upToId? } once the chat is on screen (upToId defaults to the latest message)
+    const onChatRead = async (data) => {
+        if (!data?.chatId) return;
+        try {
+            if (!(await canJoinChat(socket.data.userId, data.chatId))) {
+                return rejectAction(socket, 'mark_chat_read', 'Not a participant');
+            }
+            await markChatRead(socket.data.userId, data.chatId, data.upToId);
+        } catch (e) { console.error("mark_chat_read error", e); }
+    };
+    socket.on('messages_read', onChatRead);
+    socket.on('mark_chat_read', onChatRead);
+
+    // Client: { id, name, avatar?, type?: 'public' | 'private', members: [{ id, isAdmin? }] },
+    // acked with { success: true, group } or { success: false, status, error }
+    socket.on('create_group', async (groupData, ack) => {
+        const invalid = (error) => refuse(socket, 'create_group', ack, { status: 400, error });
+        if (!groupData || typeof groupData !== 'object') return invalid('Group data is required');
+        if (!['string', 'number'].includes(typeof groupData.id) || !String(groupData.id).trim() || isPrivateChatId(groupData.id)) {
+            return invalid('Invalid group id');
+        }
+        if (typeof groupData.name !== 'string' || !groupData.name.trim()) return invalid('Group name is required');
+        if (groupData.type !== undefined && !['public', 'private'].includes(groupData.type)) return invalid('Invalid group type');
+        if (!Array.isArray(groupData.members) || !groupData.members.every(m => m && ['string', 'number'].includes(typeof m.id))) {
+            return invalid('members must be a list of { id, isAdmin }');
+        }
+        if (groupData.createdBy && !sameUser(groupData.createdBy, socket.data.userId)) {
+            return refuse(socket, 'create_group', ack, { status: 403, error: 'Creator does not match session' });
+        }
+        if (!(await withinRateLimit(socket, 'create_group', 'group_create', ack))) return;
+        groupData.createdBy = socket.data.userId;
         try {
             const safeId = String(groupData.id);
+            if (await groups.getGroup(db, safeId)) {
+                return refuse(socket, 'create_group', ack, { status: 409, error: 'A group with this id already exists' });
+            }
             await db.run(
                 "INSERT INTO groups_table (id, name, icon, createdBy, admins, type) VALUES (?, ?, ?, ?, ?, ?)",
                 [safeId, groupData.name, groupData.avatar, groupData.createdBy, JSON.stringify(groupData.admins || []), groupData.type || 'public']
             );
 
             // Members: Ensure we handle array of objects {id, isAdmin}
-            const clean = (id) => String(id).replace(/\D/g, '').slice(-10);
-
             for (const m of groupData.members) {
-                // Validation
-                if (!m || !m.id) {
-                    console.error("❌ Invalid Member Data:", m);
-                    continue;
-                }
-
-                const cleanMemberId = clean(m.id);
-                // Fallback: If cleaning removes everything (e.g. alphanumeric guest ID), use original
-                const dbUserId = cleanMemberId.length > 5 ? cleanMemberId : m.id;
+                // Non-phone IDs (e.g. alphanumeric guest IDs) are kept verbatim
+                const dbUserId = toUserId(m.id);
 
                 console.log(`➕ Adding Member to Group: ${safeId} -> User: ${dbUserId} (Orig: ${m.id})`);
 
@@ -564,232 +1396,166 @@ io.on('connection', (socket) => {
                     console.error(`⚠️ Member Add Failed (User: ${dbUserId}):`, e.message);
                 }
 
-                // Broadcast to Member (Robust)
-                io.to(String(m.id)).emit('new_group_created', groupData);
-                if (cleanMemberId) {
-                    io.to(cleanMemberId).emit('new_group_created', groupData);
-                    io.to('+' + cleanMemberId).emit('new_group_created', groupData);
-                }
+                // Live-join the member's connected sockets to the group room
+                io.in(dbUserId).socketsJoin(groupRoom(safeId));
+
+                io.to(dbUserId).emit('new_group_created', groupData);
             }
 
             // Explicitly Add Creator as Admin Member
             if (groupData.createdBy) {
-                const creatorId = clean(groupData.createdBy);
+                const creatorId = groupData.createdBy;
                 // Check if already processed
-                const alreadyAdded = groupData.members.find(m => clean(m.id) === creatorId);
+                const alreadyAdded = groupData.members.find(m => m && sameUser(m.id, creatorId));
                 if (!alreadyAdded) {
                     await db.run("INSERT INTO group_members (groupId, userId, role) VALUES (?, ?, ?)",
                         [safeId, creatorId, 'admin']);
                 }
+                io.in(creatorId).socketsJoin(groupRoom(safeId));
             }
+
+            await conversations.ensureGroupConversation(db, safeId);
+            await groups.syncAdminsColumn(db, safeId);
+
+            const members = await db.all("SELECT userId FROM group_members WHERE groupId = ?", [safeId]);
+            await memberships.recordMembershipEvents(db, safeId, members.map(m => m.userId), 'added', groupData.createdBy);
+            if (typeof ack === 'function') ack({ success: true, group: await groups.getGroup(db, safeId) });
         } catch (e) {
             console.error('Group Create Error:', e);
+            refuse(socket, 'create_group', ack, { status: 500, error: 'Could not create group' });
         }
     });
 
-    // Get Single Group Info (For Fresh Permissions)
-    app.get('/api/groups/:id', async (req, res) => {
-        try {
-            const group = await db.get("SELECT * FROM groups_table WHERE id = ?", [req.params.id]);
-            if (!group) return res.status(404).json({ error: "Group not found" });
-
-            // Get Members
-            const members = await db.all(`
-                SELECT gm.userId as id, gm.role, u.name 
-                FROM group_members gm 
-                LEFT JOIN users u ON gm.userId = u.phone 
-                WHERE gm.groupId = ?
-            `, [req.params.id]);
-
-            res.json({
-                ...group,
-                members: members,
-                admins: JSON.parse(group.admins || '[]')
-            });
-        } catch (e) {
-            res.status(500).json({ error: e.message });
+    // --- CALL SIGNALING (Zego Cloud Compatible) ---
+    // Media goes through Zego; the server tracks state and history (calls.js).
+    // answer/reject/end take { callId }, or act on the user's current call without one.
+    // incoming_call rings every device of the callee; the first to answer takes the
+    // call and the others get call_answered_elsewhere.
+    socket.on('call_user', async (data) => {
+        // Frontend sends: { callerId, receiverId, channelId, type }
+        const { channelId, type } = data || {};
+        const callerId = socket.data.userId;
+        if (data?.callerId && !sameUser(data.callerId, callerId)) {
+            return rejectAction(socket, 'call_user', 'Caller does not match session');
         }
-    });
+        const receiverId = normalizePhone(data?.receiverId);
+        if (!receiverId) return rejectAction(socket, 'call_user', 'Invalid receiver');
+        console.log(`📞 Call Request from ${callerId} to ${receiverId} (Chan: ${channelId})`);
 
-    // --- STATUS UPDATES LOGIC ---
-
-    // Create Status Table
-    db.run(`CREATE TABLE IF NOT EXISTS status_table (
-        id TEXT PRIMARY KEY,
-        userId TEXT,
-        userName TEXT,
-        avatar TEXT,
-        type TEXT,
-        content TEXT,
-        caption TEXT,
-        timestamp TEXT,
-        expiresAt INTEGER
-    )`);
-
-    app.get('/api/status', async (req, res) => {
         try {
-            const now = Date.now();
-            // Delete expired statuses first (lazy cleanup)
-            await db.run("DELETE FROM status_table WHERE expiresAt < ?", [now]);
+            const result = await activeCalls.start(callerId, receiverId, { type, channelId, socketId: socket.id });
+            if (result.error) return rejectAction(socket, 'call_user', result.error);
 
-            const statuses = await db.all("SELECT * FROM status_table ORDER BY timestamp DESC");
-            res.json(statuses);
-        } catch (e) { res.status(500).json([]); }
+            const { call } = result;
+            if (result.busy) {
+                socket.emit('call_busy', { callId: call.id, receiverId });
+                return notifyMissedCall(call);
+            }
+            socket.emit('call_ringing', call);
+            io.to(receiverId).emit('incoming_call', { callId: call.id, callerId, channelId, type: call.type });
+        } catch (e) { console.error("call_user error", e); }
     });
 
-    app.post('/api/status', async (req, res) => {
+    socket.on('answer_call', async (data) => {
         try {
-            const { userId, userName, avatar, type, content, caption } = req.body;
-            const id = 'status-' + Date.now();
-            const timestamp = new Date().toISOString();
-            const expiresAt = Date.now() + (24 * 60 * 60 * 1000); // 24 Hours
-
-            await db.run(
-                "INSERT INTO status_table (id, userId, userName, avatar, type, content, caption, timestamp, expiresAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
-                [id, userId, userName, avatar, type, content, caption || '', timestamp, expiresAt]
-            );
-
-            const newStatus = { id, userId, userName, avatar, type, content, caption, timestamp };
-            io.emit('new_status', newStatus); // Broadcast to all (Client filters by contact)
-
-            res.json({ success: true });
-        } catch (e) {
-            console.error(e);
-            res.status(500).json({ error: "Failed" });
-        }
+            const result = await activeCalls.answer(userId, data?.callId, socket.id);
+            if (result.error) return rejectAction(socket, 'answer_call', result.error);
+            io.to(result.call.callerId).emit('call_answered', { callId: result.call.id });
+            socket.to(userId).emit('call_answered_elsewhere', { callId: result.call.id });
+        } catch (e) { console.error("answer_call error", e); }
     });
 
-    // --- STATUS INTERACTIONS APIs ---
-    // --- STATUS INTERACTIONS APIs ---
-    app.post('/api/status/:id/view', async (req, res) => {
+    // Frontend emits { callerId } (the person who CALLED), newer clients { callId }
+    socket.on('reject_call', async (data) => {
         try {
-            const { userId, userName } = req.body;
-            const isMySQL = db.constructor.name === 'MySQLWrapper';
-            const query = isMySQL
-                ? "INSERT IGNORE INTO status_views (statusId, userId, userName, timestamp) VALUES (?, ?, ?, CURRENT_TIMESTAMP)"
-                : "INSERT OR IGNORE INTO status_views (statusId, userId, userName, timestamp) VALUES (?, ?, ?, CURRENT_TIMESTAMP)";
-
-            await db.run(query, [req.params.id, userId, userName]);
-            io.emit('status_viewed', { statusId: req.params.id, userId });
-            res.json({ success: true });
-        } catch (e) { res.status(500).json({ error: e.message }); }
+            const result = await activeCalls.reject(userId, data?.callId);
+            if (result.error) return rejectAction(socket, 'reject_call', result.error);
+            io.to(result.call.callerId).emit('call_rejected', { callId: result.call.id });
+            // Stop ringing on the callee's other devices
+            socket.to(userId).emit('call_ended', { callId: result.call.id, outcome: 'rejected' });
+        } catch (e) { console.error("reject_call error", e); }
     });
 
-    app.post('/api/status/:id/like', async (req, res) => {
+    socket.on('end_call', async (data) => {
         try {
-            const { userId, userName } = req.body;
-            const isMySQL = db.constructor.name === 'MySQLWrapper';
-            const query = isMySQL
-                ? "INSERT IGNORE INTO status_likes (statusId, userId, userName, timestamp) VALUES (?, ?, ?, CURRENT_TIMESTAMP)"
-                : "INSERT OR IGNORE INTO status_likes (statusId, userId, userName, timestamp) VALUES (?, ?, ?, CURRENT_TIMESTAMP)";
-
-            await db.run(query, [req.params.id, userId, userName]);
-            io.emit('status_liked', { statusId: req.params.id, userId, userName });
-            res.json({ success: true });
-        } catch (e) { res.status(500).json({ error: e.message }); }
+            const result = await activeCalls.end(userId, data?.callId);
+            if (result.error) return rejectAction(socket, 'end_call', result.error);
+
+            // Every device of both parties except the one that hung up
+            const { call } = result;
+            socket.to([call.callerId, call.calleeId]).emit('call_ended', { callId: call.id, outcome: call.outcome, duration: call.duration });
+            if (call.outcome === 'missed') await notifyMissedCall(call);
+        } catch (e) { console.error("end_call error", e); }
     });
 
-    app.post('/api/status/:id/comment', async (req, res) => {
-        try {
-            const { userId, userName, content } = req.body;
-            await db.run("INSERT INTO status_comments (statusId, userId, userName, content, timestamp) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)", [req.params.id, userId, userName, content]);
-            io.emit('status_commented', { statusId: req.params.id, userId, userName, content });
-            res.json({ success: true });
-        } catch (e) { res.status(500).json({ error: e.message }); }
-    });
+    // --- GROUP CALL SIGNALING ---
+    // One live session per group (calls.js). The first to join starts it and rings the
+    // other members; joining a live call doesn't ring anyone again. Everyone in the
+    // group room gets participants_changed, and group_call_ended once the last one leaves.
+    // Client: { groupId, type?, channelId?, signalData?, name? }
+    const joinGroupCall = async (event, data) => {
+        const { groupId, signalData, name } = data || {};
+        const from = socket.data.userId;
+        const claimed = data?.from || data?.callerId;
+        if (claimed && !sameUser(claimed, from)) {
+            return rejectAction(socket, event, 'Caller does not match session');
+        }
+        if (!groupId) return;
 
-    app.get('/api/status/:id/interactions', async (req, res) => {
         try {
-            const views = await db.all("SELECT * FROM status_views WHERE statusId = ?", [req.params.id]);
-            const likes = await db.all("SELECT * FROM status_likes WHERE statusId = ?", [req.params.id]);
-            const comments = await db.all("SELECT * FROM status_comments WHERE statusId = ?", [req.params.id]);
-            res.json({ views, likes, comments });
-        } catch (e) { res.status(500).json({ error: e.message }); }
-    });
-
-    // --- CALL SIGNALING (Zego Cloud Compatible) ---
-    socket.on('call_user', (data) => {
-        // Frontend sends: { callerId, receiverId, channelId, type }
-        const { callerId, receiverId, channelId, type } = data;
-        const cleanTo = String(receiverId).replace(/\D/g, '').slice(-10);
-        console.log(`📞 Call Request from ${callerId} to ${cleanTo} (Chan: ${channelId})`);
-
-        // Emit to ALL potential room formats for reliability
-        const payload = { callerId, channelId, type };
-
-        io.to(cleanTo).emit('incoming_call', payload);
-        if (receiverId) io.to(receiverId).emit('incoming_call', payload);
-        io.to('+' + cleanTo).emit('incoming_call', payload);
-    });
-
-    socket.on('answer_call', (data) => {
-        // Not used heavily in Zego flow (usually handled by Zego SDK events), 
-        // but kept for custom signaling if needed
-    });
+            if (isPrivateChatId(groupId) || !(await canJoinChat(from, groupId))) {
+                return rejectAction(socket, event, 'Not a group member');
+            }
 
-    socket.on('reject_call', (data) => {
-        // Frontend emits { callerId } (the person who CALLED)
-        const { callerId } = data;
-        const cleanTo = String(callerId).replace(/\D/g, '').slice(-10);
-        io.to(cleanTo).emit('call_rejected');
-    });
+            const result = await groupCalls.join(String(groupId), from, socket.id, { type: data.type, channelId: data.channelId });
+            if (result.error) return rejectAction(socket, event, result.error);
+
+            const { session, started } = result;
+            io.to(groupRoom(session.groupId)).emit('participants_changed', { ...session, joined: from });
+            if (!started) return;
+            console.log(`📞 Group Call Started in ${groupId} by ${from}`);
+
+            const members = await db.all("SELECT userId FROM group_members WHERE groupId = ?", [session.groupId]);
+            const payload = {
+                signal: signalData,
+                from,
+                name,
+                isGroupCall: true,
+                groupId: session.groupId,
+                callId: session.callId,
+                type: session.type,
+                channelId: session.channelId
+            };
 
-    socket.on('end_call', (data) => {
-        const { receiverId } = data;
-        const cleanTo = String(receiverId).replace(/\D/g, '').slice(-10);
-        io.to(cleanTo).emit('call_ended');
-    });
+            const targets = members.map(m => m.userId).filter(id => id !== from);
+            if (targets.length) io.to(targets).emit('incoming_call', payload);
+            console.log(`✅ Group Call Signaling dispatched to ${targets.length} members`);
+        } catch (e) { console.error("Group call error", e); }
+    };
+    socket.on('group_call', (data) => joinGroupCall('group_call', data));
+    socket.on('join_group_call', (data) => joinGroupCall('join_group_call', data));
 
-    // --- GROUP MESSAGES ENDPOINT (Missing Fix) ---
-    app.get('/api/groups/:id/messages', async (req, res) => {
+    // Client: { groupId }
+    socket.on('leave_group_call', async (data) => {
+        if (!data?.groupId) return;
         try {
-            const messages = await db.all("SELECT * FROM messages WHERE chatId = ? ORDER BY timestamp ASC", [req.params.id]);
-            res.json(messages);
-        } catch (e) {
-            res.status(500).json({ error: e.message });
-        }
+            const result = await groupCalls.leave(String(data.groupId), userId);
+            if (result.error) return rejectAction(socket, 'leave_group_call', result.error);
+            await publishGroupCallLeave(userId, result);
+        } catch (e) { console.error("leave_group_call error", e); }
     });
 
-    // --- GROUP CALL SIGNALING ---
-    socket.on('group_call', async (data) => {
-        const { groupId, signalData, from, callerId, name } = data;
-        const senderId = from || callerId; // Robust Fallback
-        const cleanFrom = String(senderId).replace(/\D/g, '').slice(-10);
-        console.log(`📞 Group Call Started in ${groupId} by ${senderId}`);
+    socket.on('disconnect', async () => {
+        dropCallSocket(socket).catch(e => console.error("Call cleanup error", e));
+        if (!presence.disconnect(userId, socket.id)) return;
 
+        presence.stopAllTyping(userId).forEach(chatId => emitTyping(userId, chatId, false));
         try {
-            const members = await db.all("SELECT userId FROM group_members WHERE groupId = ?", [String(groupId)]);
-            const clean = (id) => String(id).replace(/\D/g, '').slice(-10);
-
-            const safeEmit = (targetId, payload) => {
-                if (!targetId) return;
-                io.to(targetId).emit('incoming_call', payload);
-                const c = clean(targetId);
-                if (c) {
-                    io.to(c).emit('incoming_call', payload);
-                    io.to('+' + c).emit('incoming_call', payload);
-                }
-            };
-
-            members.forEach(m => {
-                const mClean = clean(m.userId);
-                if (mClean !== cleanFrom) {
-                    const payload = {
-                        signal: signalData,
-                        from,
-                        name,
-                        isGroupCall: true,
-                        groupId
-                    };
-                    // Emit to Raw and Clean for reliability
-                    safeEmit(m.userId, payload);
-                }
-            });
-            console.log(`✅ Group Call Signaling dispatched to ${members.length} members`);
-        } catch (e) { console.error("Group call error", e); }
+            await db.run("UPDATE users SET lastSeen = CURRENT_TIMESTAMP WHERE phone = ?", [userId]);
+            await broadcastPresence(userId, false, new Date().toISOString());
+            console.log(`👋 User Offline: ${userId}`);
+        } catch (e) { console.error("Presence error", e); }
     });
-
-    socket.on('disconnect', () => { });
 });
 
 
@@ -0,0 +1,165 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const groups = require('./groups');
+
+// --- GROUP INVITES & JOIN REQUESTS ---
+// Admins create invite tokens (optionally expiring) and can revoke them. Anyone
+// signed in can preview a valid token and join with it; if the group has
+// joinApproval on, joining queues a request that an admin approves or declines.
+// Same return convention as groups.js ({ status, error } on refusal).
+
+const DEFAULT_INVITE_TTL_HOURS = parseInt(process.env.GROUP_INVITE_TTL_HOURS || '168', 10);
+const MAX_INVITE_TTL_HOURS = 24 * 365;
+
+const inviteView = (i) => ({
+    token: i.token,
+    groupId: i.groupId,
+    createdBy: i.createdBy,
+    createdAt: i.createdAt,
+    expiresAt: i.expiresAt !== null ? Number(i.expiresAt) : null,
+    uses: Number(i.uses)
+});
+
+// expiresInHours: 0 for a link that never expires
+async function createInvite(db, actorId, groupId, expiresInHours = DEFAULT_INVITE_TTL_HOURS) {
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours < 0 || hours > MAX_INVITE_TTL_HOURS) {
+        return { status: 400, error: `expiresInHours must be between 0 and ${MAX_INVITE_TTL_HOURS}` };
+    }
+
+    const check = await groups.loadAsAdmin(db, actorId, groupId);
+    if (check.error) return check;
+
+    const token = crypto.randomBytes(16).toString('base64url');
+    const expiresAt = hours ? Date.now() + hours * 60 * 60 * 1000 : null;
+    await db.run(
+        "INSERT INTO group_invites (groupId, token, createdBy, expiresAt) VALUES (?, ?, ?, ?)",
+        [check.group.id, token, actorId, expiresAt]
+    );
+    return { invite: inviteView(await db.get("SELECT * FROM group_invites WHERE token = ?", [token])) };
+}
+
+// Active (unrevoked, unexpired) invites
+async function listInvites(db, actorId, groupId) {
+    const check = await groups.loadAsAdmin(db, actorId, groupId);
+    if (check.error) return check;
+
+    const rows = await db.all(
+        "SELECT * FROM group_invites WHERE groupId = ? AND revokedAt IS NULL AND (expiresAt IS NULL OR expiresAt > ?) ORDER BY id DESC",
+        [check.group.id, Date.now()]
+    );
+    return { invites: rows.map(inviteView) };
+}
+
+async function revokeInvite(db, actorId, groupId, token) {
+    const check = await groups.loadAsAdmin(db, actorId, groupId);
+    if (check.error) return check;
+
+    const result = await db.run(
+        "UPDATE group_invites SET revokedAt = CURRENT_TIMESTAMP WHERE groupId = ? AND token = ? AND revokedAt IS NULL",
+        [check.group.id, token]
+    );
+    if (!result.changes) return { status: 404, error: "Invite not found" };
+    return { revoked: token };
+}
+
+// The invite and its group if the token can still be used
+async function loadInvite(db, token) {
+    const invite = await db.get("SELECT * FROM group_invites WHERE token = ?", [String(token)]);
+    if (!invite) return { status: 404, error: "Invite not found" };
+    if (invite.revokedAt) return { status: 410, error: "Invite was revoked" };
+    if (invite.expiresAt !== null && Number(invite.expiresAt) <= Date.now()) return { status: 410, error: "Invite has expired" };
+
+    const group = await db.get("SELECT * FROM groups_table WHERE id = ?", [invite.groupId]);
+    if (!group) return { status: 404, error: "Group not found" };
+    return { invite, group };
+}
+
+async function previewInvite(db, token) {
+    const loaded = await loadInvite(db, token);
+    if (loaded.error) return loaded;
+    const { group } = loaded;
+
+    const count = await db.get("SELECT COUNT(*) AS n FROM group_members WHERE groupId = ?", [group.id]);
+    return {
+        group: {
+            id: group.id,
+            name: group.name,
+            icon: group.icon,
+            description: group.description,
+            memberCount: Number(count.n)
+        },
+        requiresApproval: !!Number(group.joinApproval)
+    };
+}
+
+// Returns a groups.js change ({ group, added, ... }) when joined straight away,
+// or { request } when it has to wait for an admin
+async function joinWithInvite(db, userId, token) {
+    const loaded = await loadInvite(db, token);
+    if (loaded.error) return loaded;
+    const { invite, group } = loaded;
+
+    if (await groups.getMember(db, group.id, userId)) return { status: 409, error: "Already a member" };
+
+    if (Number(group.joinApproval)) {
+        let request = await db.get(
+            "SELECT * FROM group_join_requests WHERE groupId = ? AND userId = ? AND status = 'pending'",
+            [group.id, userId]
+        );
+        if (!request) {
+            const result = await db.run(
+                "INSERT INTO group_join_requests (groupId, userId, inviteId) VALUES (?, ?, ?)",
+                [group.id, userId, invite.id]
+            );
+            request = await db.get("SELECT * FROM group_join_requests WHERE id = ?", [result.lastID]);
+        }
+        return { request };
+    }
+
+    const result = await groups.joinGroup(db, userId, group.id);
+    if (!result.error) await db.run("UPDATE group_invites SET uses = uses + 1 WHERE id = ?", [invite.id]);
+    return result;
+}
+
+async function listJoinRequests(db, actorId, groupId) {
+    const check = await groups.loadAsAdmin(db, actorId, groupId);
+    if (check.error) return check;
+
+    const requests = await db.all(
+        `SELECT r.*, u.name, u.image FROM group_join_requests r
+         LEFT JOIN users u ON u.phone = r.userId
+         WHERE r.groupId = ? AND r.status = 'pending' ORDER BY r.id`,
+        [check.group.id]
+    );
+    return { requests };
+}
+
+// Returns { request, change } where change is the groups.js result of an approval
+async function decideJoinRequest(db, actorId, groupId, requestId, approve) {
+    const check = await groups.loadAsAdmin(db, actorId, groupId);
+    if (check.error) return check;
+
+    const request = await db.get("SELECT * FROM group_join_requests WHERE id = ? AND groupId = ?", [requestId, check.group.id]);
+    if (!request) return { status: 404, error: "Join request not found" };
+    if (request.status !== 'pending') return { status: 409, error: `Request was already ${request.status}` };
+
+    const status = approve ? 'approved' : 'declined';
+    await db.run(
+        "UPDATE group_join_requests SET status = ?, decidedBy = ?, decidedAt = CURRENT_TIMESTAMP WHERE id = ?",
+        [status, actorId, request.id]
+    );
+
+    let change = null;
+    if (approve) {
+        change = await groups.joinGroup(db, request.userId, request.groupId);
+        if (!change.error) await db.run("UPDATE group_invites SET uses = uses + 1 WHERE id = ?", [request.inviteId]);
+        else change = null; // joined some other way meanwhile
+    }
+    return { request: { ...request, status, decidedBy: actorId }, change };
+}
+
+module.exports = {
+    createInvite, listInvites, revokeInvite, previewInvite, joinWithInvite,
+    listJoinRequests, decideJoinRequest
+};
@@ -0,0 +1,296 @@
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const { generatePreviews } = require('./previews');
+const { insertIgnore, placeholders } = require('./dialect');
+
+// --- UPLOADED MEDIA ---
+// The type comes from the file's magic bytes, never from the client's Content-Type
+// or filename. Each kind has its own size limit, identical bytes are stored once
+// (sha256 dedupe) and every stored file gets a `media` row with its metadata and
+// previews (see previews.js). Uploads arrive as temp files, so a 100 MB document
+// never sits in memory.
+
+const MB = 1024 * 1024;
+const SIZE_LIMITS = {
+    image: parseInt(process.env.UPLOAD_MAX_IMAGE_MB || '16', 10) * MB,
+    audio: parseInt(process.env.UPLOAD_MAX_AUDIO_MB || '16', 10) * MB,
+    video: parseInt(process.env.UPLOAD_MAX_VIDEO_MB || '64', 10) * MB,
+    document: parseInt(process.env.UPLOAD_MAX_DOCUMENT_MB || '100', 10) * MB
+};
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(SIZE_LIMITS));
+const HEADER_BYTES = 64 * 1024;
+const MAX_TOP_LEVEL_BOXES = 1000;
+
+// ISO base media ("ftyp") brands we take as MP4 video; anything else in that family
+// (AVIF, JPEG 2000, CMAF segments...) is rejected rather than guessed at
+const MP4_VIDEO_BRANDS = ['isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'M4V ', 'f4v '];
+const THREE_GP_BRANDS = ['3gp4', '3gp5', '3gp6', '3g2a'];
+
+const startsWith = (buf, bytes, offset = 0) => bytes.every((b, i) => buf[offset + i] === b);
+const ascii = (buf, start, end) => buf.toString('latin1', start, end);
+
+// -> { mime, ext, kind } or null for anything we don't accept
+function sniffType(buf) {
+    if (buf.length < 12) return null;
+
+    if (startsWith(buf, [0xFF, 0xD8, 0xFF])) return { mime: 'image/jpeg', ext: 'jpg', kind: 'image' };
+    if (startsWith(buf, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return { mime: 'image/png', ext: 'png', kind: 'image' };
+    if (ascii(buf, 0, 6) === 'GIF87a' || ascii(buf, 0, 6) === 'GIF89a') return { mime: 'image/gif', ext: 'gif', kind: 'image' };
+    if (ascii(buf, 0, 4) === 'RIFF') {
+        if (ascii(buf, 8, 12) === 'WEBP') return { mime: 'image/webp', ext: 'webp', kind: 'image' };
+        if (ascii(buf, 8, 12) === 'WAVE') return { mime: 'audio/wav', ext: 'wav', kind: 'audio' };
+    }
+    if (ascii(buf, 4, 8) === 'ftyp') {
+        const brand = ascii(buf, 8, 12);
+        if (brand === 'M4A ') return { mime: 'audio/mp4', ext: 'm4a', kind: 'audio' };
+        if (['heic', 'heix', 'mif1'].includes(brand)) return { mime: 'image/heic', ext: 'heic', kind: 'image' };
+        if (brand === 'qt  ') return { mime: 'video/quicktime', ext: 'mov', kind: 'video' };
+        if (MP4_VIDEO_BRANDS.includes(brand)) return { mime: 'video/mp4', ext: 'mp4', kind: 'video' };
+        if (THREE_GP_BRANDS.includes(brand)) return { mime: 'video/3gpp', ext: '3gp', kind: 'video' };
+        return null;
+    }
+    if (startsWith(buf, [0x1A, 0x45, 0xDF, 0xA3])) {
+        return ascii(buf, 0, 64).includes('webm')
+            ? { mime: 'video/webm', ext: 'webm', kind: 'video' }
+            : { mime: 'video/x-matroska', ext: 'mkv', kind: 'video' };
+    }
+    if (ascii(buf, 0, 4) === 'OggS') return { mime: 'audio/ogg', ext: 'ogg', kind: 'audio' };
+    if (ascii(buf, 0, 5) === '#!AMR') return { mime: 'audio/amr', ext: 'amr', kind: 'audio' };
+    if (buf[0] === 0xFF && (buf[1] === 0xF1 || buf[1] === 0xF9)) return { mime: 'audio/aac', ext: 'aac', kind: 'audio' };
+    if (ascii(buf, 0, 3) === 'ID3' || (buf[0] === 0xFF && (buf[1] & 0xE0) === 0xE0)) return { mime: 'audio/mpeg', ext: 'mp3', kind: 'audio' };
+    if (ascii(buf, 0, 5) === '%PDF-') return { mime: 'application/pdf', ext: 'pdf', kind: 'document' };
+    if (startsWith(buf, [0x50, 0x4B, 0x03, 0x04])) return { mime: 'application/zip', ext: 'zip', kind: 'document' };
+    return null;
+}
+
+// { width, height } from the image header, or nulls
+function imageDimensions(buf, mime) {
+    try {
+        if (mime === 'image/png') return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+        if (mime === 'image/gif') return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+        if (mime === 'image/webp') {
+            const chunk = ascii(buf, 12, 16);
+            if (chunk === 'VP8 ') return { width: buf.readUInt16LE(26) & 0x3FFF, height: buf.readUInt16LE(28) & 0x3FFF };
+            if (chunk === 'VP8L') {
+                const bits = buf.readUInt32LE(21);
+                return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+            }
+            if (chunk === 'VP8X') return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+        }
+        if (mime === 'image/jpeg') {
+            // Walk the segments to the first start-of-frame marker
+            let i = 2;
+            while (i + 9 < buf.length) {
+                if (buf[i] !== 0xFF) { i++; continue; }
+                const marker = buf[i + 1];
+                if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                    return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+                }
+                i += 2 + buf.readUInt16BE(i + 2);
+            }
+        }
+    } catch (e) { /* truncated header */ }
+    return { width: null, height: null };
+}
+
+// Seconds, from the container header where that's cheap (MP4 family, WAV), else null
+function mediaDuration(buf, mime) {
+    try {
+        if (['video/mp4', 'video/3gpp', 'video/quicktime', 'audio/mp4'].includes(mime)) {
+            const i = buf.indexOf('mvhd');
+            if (i < 0) return null;
+            const version = buf[i + 4];
+            const timescale = buf.readUInt32BE(i + (version === 1 ? 24 : 16));
+            const duration = version === 1 ? Number(buf.readBigUInt64BE(i + 28)) : buf.readUInt32BE(i + 20);
+            return timescale ? Math.round((duration / timescale) * 1000) / 1000 : null;
+        }
+        if (mime === 'audio/wav') {
+            const byteRate = buf.readUInt32LE(28);
+            const data = buf.indexOf('data', 12);
+            if (data < 0 || !byteRate) return null;
+            return Math.round((buf.readUInt32LE(data + 4) / byteRate) * 1000) / 1000;
+        }
+    } catch (e) { /* truncated header */ }
+    return null;
+}
+
+const mediaView = (m) => ({
+    id: m.id,
+    url: m.url,
+    mime: m.mime,
+    kind: m.kind,
+    size: Number(m.size),
+    width: m.width !== null ? Number(m.width) : null,
+    height: m.height !== null ? Number(m.height) : null,
+    duration: m.duration !== null ? Number(m.duration) : null,
+    hash: m.hash,
+    thumbnailUrl: m.thumbnailUrl || null,
+    posterUrl: m.posterUrl || null,
+    blurhash: m.blurhash || null,
+    waveform: m.waveform ? JSON.parse(m.waveform) : null
+});
+
+// The first bytes of a file (enough for sniffType)
+async function readHead(path, bytes = HEADER_BYTES) {
+    const handle = await fs.promises.open(path, 'r');
+    try {
+        const buf = Buffer.alloc(bytes);
+        const { bytesRead } = await handle.read(buf, 0, bytes, 0);
+        return buf.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+const hashFile = (path) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(path)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// The start of the MP4 'moov' box, where mvhd (the duration) lives. It comes first in
+// "fast start" files and after the media data otherwise, so walk the top-level boxes
+// rather than read the whole file. null if there's none.
+async function mp4MovieHeader(path) {
+    const handle = await fs.promises.open(path, 'r');
+    try {
+        const { size } = await handle.stat();
+        const header = Buffer.alloc(16);
+        let offset = 0;
+        for (let i = 0; i < MAX_TOP_LEVEL_BOXES && offset + 8 <= size; i++) {
+            await handle.read(header, 0, 16, offset);
+            let boxSize = header.readUInt32BE(0);
+            if (boxSize === 1) boxSize = Number(header.readBigUInt64BE(8)); // 64-bit size
+            else if (boxSize === 0) boxSize = size - offset; // runs to the end of the file
+            if (boxSize < 8) return null;
+
+            if (ascii(header, 4, 8) === 'moov') {
+                const moov = Buffer.alloc(Math.min(boxSize, HEADER_BYTES));
+                const { bytesRead } = await handle.read(moov, 0, moov.length, offset);
+                return moov.subarray(0, bytesRead);
+            }
+            offset += boxSize;
+        }
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+// Validate, dedupe and store an upload multer wrote to disk ({ path, size }). Images and
+// audio (small limits, decoded for previews anyway) are read into memory; video and
+// documents go from the file to storage. Returns { media } or { status, error }
+async function storeUpload(db, storage, file, uploadedBy) {
+    const type = sniffType(await readHead(file.path));
+    if (!type) return { status: 415, error: "Unsupported file type" };
+    if (file.size > SIZE_LIMITS[type.kind]) {
+        return { status: 413, error: `${type.kind} uploads are limited to ${SIZE_LIMITS[type.kind] / MB} MB` };
+    }
+
+    const hash = await hashFile(file.path);
+    const existing = await db.get("SELECT * FROM media WHERE hash = ? AND backend = ?", [hash, storage.name]);
+    if (existing) return { media: mediaView(existing), deduped: true };
+
+    const inMemory = type.kind === 'image' || type.kind === 'audio';
+    const source = inMemory ? await fs.promises.readFile(file.path) : file.path;
+
+    const url = await storage.save(source, { key: `${hash}.${type.ext}`, mime: type.mime });
+    const previews = await generatePreviews(source, type, { storage, hash });
+    // Video dimensions come from the poster frame
+    const { width, height } = type.kind === 'image' ? imageDimensions(source, type.mime) : previews;
+    let duration = null;
+    if (type.kind === 'audio') {
+        duration = mediaDuration(source, type.mime);
+    } else if (['video/mp4', 'video/3gpp', 'video/quicktime'].includes(type.mime)) {
+        const movie = await mp4MovieHeader(file.path);
+        duration = movie && mediaDuration(movie, type.mime);
+    }
+
+    await db.run(
+        `${insertIgnore(db)} INTO media (hash, backend, storageKey, url, mime, kind, size, width, height, duration, uploadedBy,
+                                     thumbnailUrl, posterUrl, blurhash, waveform)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [hash, storage.name, storage.keyFromUrl(url), url, type.mime, type.kind, file.size, width, height, duration, uploadedBy,
+            previews.thumbnailUrl, previews.posterUrl, previews.blurhash, previews.waveform && JSON.stringify(previews.waveform)]
+    );
+    const stored = await db.get("SELECT * FROM media WHERE hash = ? AND backend = ?", [hash, storage.name]);
+    return { media: mediaView(stored), deduped: false };
+}
+
+// Every column that can hold one of our URLs; statuses only count until they expire
+const referencesTo = (suffix) => [
+    ["SELECT id FROM messages WHERE mediaUrl LIKE ? AND deletedAt IS NULL LIMIT 1", [suffix]],
+    ["SELECT id FROM statuses WHERE (mediaUrl LIKE ? OR avatar LIKE ?) AND expiresAt > ? LIMIT 1", [suffix, suffix, Date.now()]],
+    ["SELECT phone FROM users WHERE image LIKE ? LIMIT 1", [suffix]],
+    ["SELECT id FROM groups_table WHERE icon LIKE ? LIMIT 1", [suffix]]
+];
+
+// Delete a stored file on behalf of ownerId once nothing references it any more (other
+// than statuses already being swept). Only files ownerId uploaded are deleted; URLs
+// that aren't ours, or have no media record, are left alone.
+async function releaseMedia(db, storage, url, ownerId) {
+    const key = storage.keyFromUrl(url);
+    if (!key) return false;
+
+    const record = await db.get("SELECT * FROM media WHERE backend = ? AND storageKey = ?", [storage.name, key]);
+    if (!record || !ownerId || record.uploadedBy !== ownerId) return false;
+
+    const suffix = `%${record.url.slice(record.url.lastIndexOf('/'))}`;
+    for (const [sql, params] of referencesTo(suffix)) {
+        if (await db.get(sql, params)) return false;
+    }
+
+    await storage.remove(key);
+    for (const preview of [record.thumbnailUrl, record.posterUrl].filter(Boolean)) {
+        await storage.remove(storage.keyFromUrl(preview));
+    }
+    await db.run("DELETE FROM media WHERE id = ?", [record.id]);
+    return true;
+}
+
+// Relative (local) preview URLs resolve against the message's absolute mediaUrl
+function resolveUrl(url, base) {
+    if (!url || !url.startsWith('/')) return url;
+    try {
+        return new URL(url, base).href;
+    } catch (e) {
+        return url;
+    }
+}
+
+// Adds `media` (metadata + previews) to messages whose mediaUrl is one of our uploads
+async function attachMedia(db, storage, rows) {
+    const keys = new Map(); // message -> storage key
+    rows.forEach(m => {
+        const key = m.mediaUrl && storage.keyFromUrl(m.mediaUrl);
+        if (key) keys.set(m, key);
+    });
+    if (!keys.size) return rows;
+
+    const unique = [...new Set(keys.values())];
+    const records = await db.all(
+        `SELECT * FROM media WHERE backend = ? AND storageKey IN (${placeholders(unique)})`,
+        [storage.name, ...unique]
+    );
+    const byKey = new Map(records.map(r => [r.storageKey, r]));
+
+    for (const [m, key] of keys) {
+        const record = byKey.get(key);
+        if (!record) continue;
+        const { id, url, hash, ...info } = mediaView(record);
+        m.media = {
+            ...info,
+            thumbnailUrl: resolveUrl(info.thumbnailUrl, m.mediaUrl),
+            posterUrl: resolveUrl(info.posterUrl, m.mediaUrl)
+        };
+    }
+    return rows;
+}
+
+module.exports = {
+    SIZE_LIMITS, MAX_UPLOAD_BYTES,
+    sniffType, imageDimensions, mediaDuration, storeUpload, releaseMedia, attachMedia
+};
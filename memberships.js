@@ -0,0 +1,31 @@
+// --- MEMBERSHIP EVENTS ---
+// Append-only log of group membership changes ('added', 'removed', ...), so a client
+// that was offline can catch up on groups it joined or left and on member changes
+// in its groups. Event IDs are the sync cursor.
+
+async function recordMembershipEvents(db, groupId, userIds, type, actorId = null) {
+    for (const userId of new Set(userIds)) {
+        await db.run(
+            "INSERT INTO membership_events (groupId, userId, type, actorId) VALUES (?, ?, ?, ?)",
+            [groupId, userId, type, actorId]
+        );
+    }
+}
+
+// Events about the user, or in groups the user is currently in, after afterId (oldest first)
+async function membershipEventsSince(db, userId, afterId, limit) {
+    return db.all(
+        `SELECT id, groupId, userId, type, actorId, createdAt FROM membership_events
+         WHERE id > ? AND (userId = ? OR groupId IN (SELECT groupId FROM group_members WHERE userId = ?))
+         ORDER BY id ASC LIMIT ${limit + 1}`,
+        [afterId, userId, userId]
+    );
+}
+
+// Last event ID at or before a point in time (for timestamp-based sync)
+async function lastEventIdAt(db, at) {
+    const row = await db.get("SELECT MAX(id) AS id FROM membership_events WHERE createdAt <= ?", [at]);
+    return Number(row?.id) || 0;
+}
+
+module.exports = { recordMembershipEvents, membershipEventsSince, lastEventIdAt };
@@ -0,0 +1,172 @@
+require('dotenv').config();
+const { isPrivateChatId, chatParticipants } = require('./identity');
+const { insertIgnore, placeholders } = require('./dialect');
+
+// --- MESSAGE EDITS & DELETES ---
+// Nothing is hard-deleted: edits set editedAt, "delete for everyone" sets deletedAt
+// and clears the content, "delete for me" adds a message_hidden row for that user.
+// Each operation returns { message } on success or { status, error } on refusal.
+
+const EDIT_WINDOW_MS = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15', 10) * 60 * 1000;
+const MAX_TEXT_LENGTH = parseInt(process.env.MESSAGE_MAX_LENGTH || '4096', 10);
+
+// SQLite returns "YYYY-MM-DD HH:MM:SS" (UTC), mysql2 returns a Date
+const toDate = (ts) => ts instanceof Date ? ts : new Date(String(ts).replace(' ', 'T') + 'Z');
+
+// ...and the other way round, for comparing against stored timestamps
+const toDbTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const getMessage = (db, messageId) => db.get("SELECT * FROM messages WHERE id = ?", [messageId]);
+
+async function isParticipant(db, userId, message) {
+    if (isPrivateChatId(message.chatId)) return chatParticipants(message.chatId).includes(userId);
+    const member = await db.get("SELECT id FROM group_members WHERE groupId = ? AND userId = ?", [message.chatId, userId]);
+    return !!member;
+}
+
+async function isGroupAdmin(db, userId, groupId) {
+    const member = await db.get("SELECT role FROM group_members WHERE groupId = ? AND userId = ?", [groupId, userId]);
+    return !!member && member.role === 'admin';
+}
+
+// Shared by new messages and edits: null if the text is acceptable, else { status, error }
+function checkText(text, { required }) {
+    if (text !== undefined && text !== null && typeof text !== 'string') return { status: 400, error: "text must be a string" };
+    if (text && text.length > MAX_TEXT_LENGTH) {
+        return { status: 400, error: `Text is too long (max ${MAX_TEXT_LENGTH} characters)` };
+    }
+    if (required && !(text && text.trim())) return { status: 400, error: "Text is required" };
+    return null;
+}
+
+async function editMessage(db, userId, messageId, text) {
+    const invalid = checkText(text, { required: true });
+    if (invalid) return invalid;
+
+    const message = await getMessage(db, messageId);
+    if (!message) return { status: 404, error: "Message not found" };
+    // Members who left or were removed can't touch what they posted before
+    if (!(await isParticipant(db, userId, message))) return { status: 403, error: "Not a participant" };
+    // System notices carry the actor as sender but aren't theirs to rewrite
+    if (message.type === 'system') return { status: 403, error: "System messages can't be edited" };
+    if (message.sender !== userId) return { status: 403, error: "Only the sender can edit a message" };
+    if (message.deletedAt) return { status: 409, error: "Message was deleted" };
+    if (Date.now() - toDate(message.timestamp).getTime() > EDIT_WINDOW_MS) {
+        return { status: 403, error: "Edit window has passed" };
+    }
+
+    await db.run("UPDATE messages SET text = ?, editedAt = CURRENT_TIMESTAMP WHERE id = ?", [text, messageId]);
+    await db.run(
+        "UPDATE conversations SET lastMessageText = ? WHERE id = ? AND lastMessageId = ?",
+        [text, message.chatId, message.id]
+    );
+    return { message: await getMessage(db, messageId) };
+}
+
+async function deleteForEveryone(db, userId, messageId) {
+    const message = await getMessage(db, messageId);
+    if (!message) return { status: 404, error: "Message not found" };
+    if (!(await isParticipant(db, userId, message))) return { status: 403, error: "Not a participant" };
+    if (message.deletedAt) return { message };
+    if (message.type === 'system') return { status: 403, error: "System messages can't be deleted" };
+
+    const allowed = message.sender === userId
+        || (!isPrivateChatId(message.chatId) && await isGroupAdmin(db, userId, message.chatId));
+    if (!allowed) return { status: 403, error: "Only the sender or a group admin can delete this message" };
+
+    await db.run(
+        "UPDATE messages SET text = NULL, mediaUrl = NULL, deletedAt = CURRENT_TIMESTAMP, deletedBy = ? WHERE id = ?",
+        [userId, messageId]
+    );
+    await db.run(
+        "UPDATE conversations SET lastMessageText = NULL, lastMessageType = 'deleted' WHERE id = ? AND lastMessageId = ?",
+        [message.chatId, message.id]
+    );
+    return { message: await getMessage(db, messageId) };
+}
+
+async function deleteForMe(db, userId, messageId) {
+    const message = await getMessage(db, messageId);
+    if (!message) return { status: 404, error: "Message not found" };
+    if (!(await isParticipant(db, userId, message))) return { status: 403, error: "Not a participant" };
+
+    await db.run(`${insertIgnore(db)} INTO message_hidden (messageId, userId) VALUES (?, ?)`, [messageId, userId]);
+    return { message };
+}
+
+// --- NEW MESSAGES ---
+// What a client may send ('system' messages only come from the server). A client
+// may tag each message with its own clientMsgId; resending with the same ID returns
+// the stored message instead of creating another (unique per sender, migration 022).
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+const MESSAGE_TYPES = ['text', ...MEDIA_TYPES];
+const MAX_CLIENT_MSG_ID_LENGTH = 64;
+
+// { message: { text, type, mediaUrl, replyToId, clientMsgId } } or { status, error }
+function validateNewMessage({ text, type, mediaUrl, replyToId, clientMsgId }) {
+    const messageType = type || 'text';
+    if (!MESSAGE_TYPES.includes(messageType)) {
+        return { status: 400, error: `type must be one of ${MESSAGE_TYPES.join(', ')}` };
+    }
+    const invalidText = checkText(text, { required: messageType === 'text' });
+    if (invalidText) return invalidText;
+
+    const isMedia = MEDIA_TYPES.includes(messageType);
+    if (isMedia && !(typeof mediaUrl === 'string' && /^https?:\/\/\S+$/i.test(mediaUrl))) {
+        return { status: 400, error: `mediaUrl is required for ${messageType} messages` };
+    }
+
+    if (replyToId !== undefined && replyToId !== null && !(Number.isInteger(Number(replyToId)) && Number(replyToId) > 0)) {
+        return { status: 400, error: "Invalid replyToId" };
+    }
+    if (clientMsgId !== undefined && clientMsgId !== null
+        && !(typeof clientMsgId === 'string' && clientMsgId.length && clientMsgId.length <= MAX_CLIENT_MSG_ID_LENGTH)) {
+        return { status: 400, error: `clientMsgId must be a string of up to ${MAX_CLIENT_MSG_ID_LENGTH} characters` };
+    }
+
+    return {
+        message: {
+            text: text || null,
+            type: messageType,
+            mediaUrl: isMedia ? mediaUrl : null,
+            replyToId: replyToId ? Number(replyToId) : null,
+            clientMsgId: clientMsgId || null
+        }
+    };
+}
+
+const findByClientMsgId = (db, sender, clientMsgId) =>
+    db.get("SELECT * FROM messages WHERE sender = ? AND clientMsgId = ?", [sender, clientMsgId]);
+
+// --- REPLIES ---
+const QUOTE_LENGTH = 100;
+
+const quoteOf = (m) => m.deletedAt
+    ? { id: m.id, sender: m.sender, deleted: true }
+    : {
+        id: m.id,
+        sender: m.sender,
+        type: m.type,
+        text: m.text && m.text.length > QUOTE_LENGTH ? m.text.slice(0, QUOTE_LENGTH) + '…' : m.text,
+        mediaUrl: m.mediaUrl
+    };
+
+// Resolve replyToId into a quoted snippet (replyTo) on each message, in one query
+async function attachQuotes(db, rows) {
+    const ids = [...new Set(rows.map(m => m.replyToId).filter(Boolean))];
+    if (!ids.length) return rows;
+
+    const quoted = await db.all(`SELECT * FROM messages WHERE id IN (${placeholders(ids)})`, ids);
+    const byId = new Map(quoted.map(q => [q.id, q]));
+    rows.forEach(m => {
+        if (!m.replyToId) return;
+        const q = byId.get(Number(m.replyToId));
+        m.replyTo = q ? quoteOf(q) : { id: m.replyToId, deleted: true };
+    });
+    return rows;
+}
+
+module.exports = {
+    getMessage, isParticipant, isGroupAdmin, editMessage, deleteForEveryone, deleteForMe, toDate, toDbTimestamp,
+    attachQuotes, MESSAGE_TYPES, MEDIA_TYPES, validateNewMessage, findByClientMsgId
+};
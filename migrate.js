@@ -0,0 +1,29 @@
+// --- MIGRATION CLI ---
+//   npm run migrate          apply pending migrations
+//   npm run migrate:status   list applied / pending migrations
+
+const { connectDB, runMigrations, pendingMigrations } = require('./db');
+const migrations = require('./migrations');
+
+async function main(command = 'up') {
+    // No SQLite fallback here: if MySQL is configured it must be reachable
+    const db = await connectDB({ fallback: false });
+
+    if (command === 'status') {
+        const pending = new Set((await pendingMigrations(db)).map(m => m.id));
+        migrations.forEach(m => console.log(`${pending.has(m.id) ? '⏳ pending ' : '✅ applied '} ${m.id}`));
+        console.log(`${pending.size} pending`);
+    } else if (command === 'up') {
+        const applied = await runMigrations(db);
+        if (!applied.length) console.log('✅ Schema is up to date');
+    } else {
+        throw new Error(`Unknown command "${command}" (use "up" or "status")`);
+    }
+}
+
+main(process.argv[2])
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Migration failed:', err.message);
+        process.exit(1);
+    });
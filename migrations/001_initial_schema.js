@@ -0,0 +1,101 @@
+const { primaryKey } = require('./schema');
+
+// Baseline tables (users, messages, status, groups, status interactions)
+module.exports = {
+    id: '001_initial_schema',
+    async up(db) {
+        const pk = primaryKey(db);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                id VARCHAR(255) PRIMARY KEY,
+                name TEXT,
+                phone VARCHAR(255) UNIQUE,
+                image TEXT,
+                lastSeen TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS messages (
+                id ${pk},
+                chatId VARCHAR(255),
+                sender VARCHAR(255),
+                text TEXT,
+                type VARCHAR(50),
+                mediaUrl TEXT,
+                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS status (
+                id ${pk},
+                userId VARCHAR(255),
+                userName TEXT,
+                type VARCHAR(50),
+                content TEXT,
+                bgColor VARCHAR(50),
+                mediaUrl TEXT,
+                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expiresAt DATETIME
+            );
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS groups_table (
+                id VARCHAR(255) PRIMARY KEY,
+                name TEXT,
+                icon TEXT,
+                description TEXT,
+                createdBy VARCHAR(255),
+                admins TEXT, -- JSON array of admin IDs
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS group_members (
+                id ${pk},
+                groupId VARCHAR(255),
+                userId VARCHAR(255),
+                role VARCHAR(50) DEFAULT 'member',
+                joinedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // --- STATUS INTERACTIONS ---
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS status_views (
+                id ${pk},
+                statusId VARCHAR(255),
+                userId VARCHAR(255),
+                userName TEXT,
+                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(statusId, userId)
+            );
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS status_likes (
+                id ${pk},
+                statusId VARCHAR(255),
+                userId VARCHAR(255),
+                userName TEXT,
+                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(statusId, userId)
+            );
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS status_comments (
+                id ${pk},
+                statusId VARCHAR(255),
+                userId VARCHAR(255),
+                userName TEXT,
+                content TEXT,
+                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    }
+};
@@ -0,0 +1,9 @@
+const { addColumn } = require('./schema');
+
+// Public groups: anyone may post. Private groups: admins only.
+module.exports = {
+    id: '002_groups_type',
+    async up(db) {
+        await addColumn(db, 'groups_table', 'type', "VARCHAR(50) DEFAULT 'public'");
+    }
+};
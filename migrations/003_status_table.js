@@ -0,0 +1,19 @@
+// Second status store, previously created from inside the socket connection handler
+module.exports = {
+    id: '003_status_table',
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS status_table (
+                id VARCHAR(255) PRIMARY KEY,
+                userId VARCHAR(255),
+                userName TEXT,
+                avatar TEXT,
+                type TEXT,
+                content TEXT,
+                caption TEXT,
+                timestamp TEXT,
+                expiresAt BIGINT
+            );
+        `);
+    }
+};
@@ -0,0 +1,9 @@
+const { createIndex } = require('./schema');
+
+// History pages are served by (chatId, id) range scans
+module.exports = {
+    id: '004_message_history_index',
+    async up(db) {
+        await createIndex(db, 'idx_messages_chat_id', 'messages', 'chatId, id');
+    }
+};
@@ -0,0 +1,19 @@
+const { primaryKey, createIndex } = require('./schema');
+
+// One row per (message, recipient), see receipts.js
+module.exports = {
+    id: '005_message_receipts',
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS message_receipts (
+                id ${primaryKey(db)},
+                messageId INT,
+                userId VARCHAR(255),
+                deliveredAt DATETIME NULL,
+                readAt DATETIME NULL,
+                UNIQUE(messageId, userId)
+            );
+        `);
+        await createIndex(db, 'idx_message_receipts_user', 'message_receipts', 'userId, readAt');
+    }
+};
@@ -0,0 +1,18 @@
+const { primaryKey } = require('./schema');
+
+// Last-read pointer per user & chat
+module.exports = {
+    id: '006_chat_reads',
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS chat_reads (
+                id ${primaryKey(db)},
+                userId VARCHAR(255),
+                chatId VARCHAR(255),
+                lastReadId INT DEFAULT 0,
+                updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(userId, chatId)
+            );
+        `);
+    }
+};
@@ -0,0 +1,89 @@
+const { isMySQL, primaryKey, insertIgnore, createIndex } = require('./schema');
+
+// Denormalized chat list, see conversations.js
+
+// Fill conversations from existing groups and messages, in plain SQL so this doesn't
+// follow later changes to conversations.js (008 reuses it after rewriting IDs).
+// Runs only while the table is empty. Private chats are "<a>_<b>" chat IDs with
+// exactly one underscore; messages in groups that no longer exist are skipped.
+async function backfillConversations(db) {
+    const count = await db.get("SELECT COUNT(*) AS n FROM conversations");
+    if (Number(count.n) > 0) return;
+
+    const ignore = insertIgnore(db);
+    const isPrivate = "chatId LIKE '%!_%' ESCAPE '!' AND chatId NOT LIKE '%!_%!_%' ESCAPE '!'";
+    const [firstUser, secondUser] = isMySQL(db)
+        ? ["SUBSTRING_INDEX(chatId, '_', 1)", "SUBSTRING_INDEX(chatId, '_', -1)"]
+        : ["substr(chatId, 1, instr(chatId, '_') - 1)", "substr(chatId, instr(chatId, '_') + 1)"];
+
+    await db.run(`${ignore} INTO conversations (id, isGroup) SELECT id, 1 FROM groups_table`);
+    await db.run(
+        `${ignore} INTO conversation_participants (conversationId, userId)
+         SELECT gm.groupId, gm.userId FROM group_members gm JOIN groups_table g ON g.id = gm.groupId`
+    );
+    await db.run(
+        `${ignore} INTO conversation_participants (conversationId, userId)
+         SELECT id, createdBy FROM groups_table WHERE createdBy IS NOT NULL`
+    );
+
+    await db.run(`${ignore} INTO conversations (id, isGroup) SELECT DISTINCT chatId, 0 FROM messages WHERE ${isPrivate}`);
+    for (const user of [firstUser, secondUser]) {
+        await db.run(
+            `${ignore} INTO conversation_participants (conversationId, userId)
+             SELECT DISTINCT chatId, ${user} FROM messages WHERE ${isPrivate}`
+        );
+    }
+
+    // Latest message per conversation
+    await db.run("UPDATE conversations SET lastMessageId = (SELECT MAX(m.id) FROM messages m WHERE m.chatId = conversations.id)");
+    for (const [column, source] of [
+        ['lastMessageText', 'm.text'],
+        ['lastMessageType', "COALESCE(m.type, 'text')"],
+        ['lastSender', 'm.sender'],
+        ['lastMessageAt', 'm.timestamp']
+    ]) {
+        await db.run(
+            `UPDATE conversations SET ${column} = (SELECT ${source} FROM messages m WHERE m.id = conversations.lastMessageId)
+             WHERE lastMessageId IS NOT NULL`
+        );
+    }
+
+    const groups = await db.get("SELECT COUNT(*) AS n FROM conversations WHERE isGroup = 1");
+    const privates = await db.get("SELECT COUNT(*) AS n FROM conversations WHERE isGroup = 0");
+    console.log(`✅ Backfilled ${groups.n} group and ${privates.n} private conversations`);
+}
+
+module.exports = {
+    id: '007_conversations',
+    backfillConversations,
+    async up(db) {
+        await createIndex(db, 'idx_group_members_group', 'group_members', 'groupId, role');
+        await createIndex(db, 'idx_group_members_user', 'group_members', 'userId');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS conversations (
+                id VARCHAR(255) PRIMARY KEY,
+                isGroup INT DEFAULT 0,
+                lastMessageId INT NULL,
+                lastMessageText TEXT,
+                lastMessageType VARCHAR(50),
+                lastSender VARCHAR(255),
+                lastMessageAt TIMESTAMP NULL,
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS conversation_participants (
+                id ${primaryKey(db)},
+                conversationId VARCHAR(255),
+                userId VARCHAR(255),
+                joinedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(conversationId, userId)
+            );
+        `);
+        await createIndex(db, 'idx_participants_user', 'conversation_participants', 'userId, conversationId');
+
+        await backfillConversations(db);
+    }
+};
@@ -0,0 +1,122 @@
+const { isMySQL, tableExists } = require('./schema');
+const { backfillConversations } = require('./007_conversations');
+
+// Rewrites legacy 10-digit / "91…" / "+91…" IDs to E.164 across every table that
+// stores a user or private chat ID. Canonical values map to themselves.
+
+// --- ID RULES (frozen copy of identity.js as of this migration) ---
+// Kept here so later changes to identity.js don't change what this migration does.
+
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '91').replace(/\D/g, '');
+
+function normalizePhone(input, countryCode = DEFAULT_COUNTRY_CODE) {
+    if (input === null || input === undefined) return null;
+    const raw = String(input).trim();
+    let digits = raw.replace(/\D/g, '');
+
+    if (!raw.startsWith('+')) {
+        if (digits.startsWith('00')) {
+            digits = digits.slice(2);
+        } else if (digits.length === 11 && digits.startsWith('0')) {
+            digits = countryCode + digits.slice(1);
+        } else if (digits.length <= 10) {
+            digits = countryCode + digits;
+        }
+    }
+
+    if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) return null;
+    return `+${digits}`;
+}
+
+const toUserId = (id) => normalizePhone(id) || (id ? String(id) : null);
+
+const isPrivateChatId = (chatId) => String(chatId).includes('_');
+
+function normalizeChatId(chatId) {
+    const safeChatId = String(chatId);
+    if (!isPrivateChatId(safeChatId)) return safeChatId;
+
+    const parts = safeChatId.split('_');
+    return parts.length === 2 ? [toUserId(parts[0]), toUserId(parts[1])].sort().join('_') : safeChatId;
+}
+
+// [table, column, normalizer]
+const COLUMNS = [
+    ['users', 'phone', normalizePhone],
+    ['messages', 'sender', normalizePhone],
+    ['messages', 'chatId', (id) => isPrivateChatId(id) ? normalizeChatId(id) : null],
+    ['group_members', 'userId', normalizePhone],
+    ['groups_table', 'createdBy', normalizePhone],
+    ['message_receipts', 'userId', normalizePhone],
+    ['chat_reads', 'userId', normalizePhone],
+    ['chat_reads', 'chatId', (id) => isPrivateChatId(id) ? normalizeChatId(id) : null],
+    ['status', 'userId', normalizePhone],
+    ['status_table', 'userId', normalizePhone],
+    ['status_views', 'userId', normalizePhone],
+    ['status_likes', 'userId', normalizePhone],
+    ['status_comments', 'userId', normalizePhone]
+];
+
+// How many dropped rows to print per value; the rest are only counted
+const LOGGED_ROWS = 20;
+
+async function rewriteColumn(db, table, column, normalize) {
+    // Rows that would collide with an already-canonical row (unique keys) keep the
+    // canonical row; the legacy duplicates are logged, then dropped
+    const updateIgnore = isMySQL(db) ? 'UPDATE IGNORE' : 'UPDATE OR IGNORE';
+
+    const values = await db.all(`SELECT DISTINCT ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL`);
+    let rewritten = 0;
+
+    for (const { value } of values) {
+        const canonical = normalize(String(value));
+        if (!canonical || canonical === String(value)) continue;
+
+        const result = await db.run(`${updateIgnore} ${table} SET ${column} = ? WHERE ${column} = ?`, [canonical, value]);
+
+        const leftover = await db.all(`SELECT * FROM ${table} WHERE ${column} = ?`, [value]);
+        if (leftover.length) {
+            console.warn(`⚠️ ${table}.${column}: dropping ${leftover.length} "${value}" rows that duplicate "${canonical}":`,
+                JSON.stringify(leftover.slice(0, LOGGED_ROWS)) + (leftover.length > LOGGED_ROWS ? ' …' : ''));
+            await db.run(`DELETE FROM ${table} WHERE ${column} = ?`, [value]);
+        }
+        rewritten += result.changes;
+    }
+    return rewritten;
+}
+
+async function rewriteAdminLists(db) {
+    const groups = await db.all("SELECT id, admins FROM groups_table WHERE admins IS NOT NULL");
+    for (const g of groups) {
+        let admins;
+        try {
+            admins = JSON.parse(g.admins);
+        } catch (e) {
+            continue;
+        }
+        if (!Array.isArray(admins)) continue;
+
+        const canonical = [...new Set(admins.map(toUserId).filter(Boolean))];
+        if (JSON.stringify(canonical) !== JSON.stringify(admins)) {
+            await db.run("UPDATE groups_table SET admins = ? WHERE id = ?", [JSON.stringify(canonical), g.id]);
+        }
+    }
+}
+
+module.exports = {
+    id: '008_canonical_user_ids',
+    toUserId,
+    async up(db) {
+        for (const [table, column, normalize] of COLUMNS) {
+            if (!(await tableExists(db, table))) continue;
+            const count = await rewriteColumn(db, table, column, normalize);
+            if (count) console.log(`🔁 ${table}.${column}: ${count} rows rewritten`);
+        }
+        await rewriteAdminLists(db);
+
+        // Conversations are derived data: rebuild them from the rewritten rows
+        await db.run("DELETE FROM conversation_participants");
+        await db.run("DELETE FROM conversations");
+        await backfillConversations(db);
+    }
+};
@@ -0,0 +1,21 @@
+const { primaryKey, addColumn } = require('./schema');
+
+// Soft edits/deletes on messages plus per-user "delete for me", see messages.js
+module.exports = {
+    id: '009_message_edits',
+    async up(db) {
+        await addColumn(db, 'messages', 'editedAt', 'DATETIME NULL');
+        await addColumn(db, 'messages', 'deletedAt', 'DATETIME NULL');
+        await addColumn(db, 'messages', 'deletedBy', 'VARCHAR(255) NULL');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS message_hidden (
+                id ${primaryKey(db)},
+                messageId INT,
+                userId VARCHAR(255),
+                hiddenAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(messageId, userId)
+            );
+        `);
+    }
+};
@@ -0,0 +1,11 @@
+const { addColumn } = require('./schema');
+
+// Threaded replies (replyToId) and forwarded copies (isForwarded / forwardCount)
+module.exports = {
+    id: '010_replies_and_forwards',
+    async up(db) {
+        await addColumn(db, 'messages', 'replyToId', 'INT NULL');
+        await addColumn(db, 'messages', 'isForwarded', 'INT DEFAULT 0');
+        await addColumn(db, 'messages', 'forwardCount', 'INT DEFAULT 0');
+    }
+};
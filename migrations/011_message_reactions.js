@@ -0,0 +1,18 @@
+const { primaryKey } = require('./schema');
+
+// One emoji per (message, user), see reactions.js
+module.exports = {
+    id: '011_message_reactions',
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS message_reactions (
+                id ${primaryKey(db)},
+                messageId INT,
+                userId VARCHAR(255),
+                emoji VARCHAR(64),
+                reactedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(messageId, userId)
+            );
+        `);
+    }
+};
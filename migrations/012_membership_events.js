@@ -0,0 +1,20 @@
+const { primaryKey, createIndex } = require('./schema');
+
+// Group membership change log for reconnect sync, see memberships.js
+module.exports = {
+    id: '012_membership_events',
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS membership_events (
+                id ${primaryKey(db)},
+                groupId VARCHAR(255),
+                userId VARCHAR(255),
+                type VARCHAR(50),
+                actorId VARCHAR(255) NULL,
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await createIndex(db, 'idx_membership_events_user', 'membership_events', 'userId, id');
+        await createIndex(db, 'idx_membership_events_group', 'membership_events', 'groupId, id');
+    }
+};
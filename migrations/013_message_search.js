@@ -0,0 +1,38 @@
+const { isMySQL } = require('./schema');
+
+// Full-text index over messages.text, see search.js.
+// SQLite: external-content FTS5 table kept in sync by triggers. MySQL: FULLTEXT index.
+module.exports = {
+    id: '013_message_search',
+    async up(db) {
+        if (isMySQL(db)) {
+            try {
+                await db.exec("CREATE FULLTEXT INDEX idx_messages_text_fulltext ON messages (text)");
+            } catch (e) {
+                if (e.code !== 'ER_DUP_KEYNAME') throw e;
+            }
+            return;
+        }
+
+        await db.exec(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                text, content='messages', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+            );
+
+            CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+                INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+                INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+                INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+                INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+            END;
+
+            INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+        `);
+    }
+};
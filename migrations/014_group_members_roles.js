@@ -0,0 +1,44 @@
+const { insertIgnore, createIndex } = require('./schema');
+const { toUserId } = require('./008_canonical_user_ids');
+
+// group_members becomes the only source of membership and roles (see groups.js):
+// one row per (group, user), every creator is a member, and anyone listed in the
+// legacy groups_table.admins JSON gets the admin role.
+module.exports = {
+    id: '014_group_members_roles',
+    async up(db) {
+        const duplicates = await db.all(
+            `SELECT groupId, userId, MIN(id) AS keepId,
+                    MAX(CASE WHEN role = 'admin' THEN 1 ELSE 0 END) AS isAdmin
+             FROM group_members GROUP BY groupId, userId HAVING COUNT(*) > 1`
+        );
+        for (const d of duplicates) {
+            await db.run("DELETE FROM group_members WHERE groupId = ? AND userId = ? AND id <> ?", [d.groupId, d.userId, d.keepId]);
+            if (Number(d.isAdmin)) await db.run("UPDATE group_members SET role = 'admin' WHERE id = ?", [d.keepId]);
+        }
+        await createIndex(db, 'idx_group_members_unique', 'group_members', 'groupId, userId', { unique: true });
+
+        const groups = await db.all("SELECT id, createdBy, admins FROM groups_table");
+        for (const g of groups) {
+            const groupId = String(g.id);
+            if (g.createdBy) {
+                const creatorId = toUserId(g.createdBy);
+                const member = await db.get("SELECT id FROM group_members WHERE groupId = ? AND userId = ?", [groupId, creatorId]);
+                if (!member) {
+                    await db.run("INSERT INTO group_members (groupId, userId, role) VALUES (?, ?, 'admin')", [groupId, creatorId]);
+                    await db.run(
+                        `${insertIgnore(db)} INTO conversation_participants (conversationId, userId) VALUES (?, ?)`,
+                        [groupId, creatorId]
+                    );
+                }
+            }
+
+            let admins = [];
+            try { admins = JSON.parse(g.admins || '[]'); } catch (e) { /* unparseable, ignore */ }
+            if (!Array.isArray(admins)) continue;
+            for (const adminId of admins.map(toUserId).filter(Boolean)) {
+                await db.run("UPDATE group_members SET role = 'admin' WHERE groupId = ? AND userId = ?", [groupId, adminId]);
+            }
+        }
+    }
+};
@@ -0,0 +1,37 @@
+const { primaryKey, addColumn, createIndex } = require('./schema');
+
+// Invite links and the join-request queue for groups with admin approval, see invites.js
+module.exports = {
+    id: '015_group_invites',
+    async up(db) {
+        await addColumn(db, 'groups_table', 'joinApproval', 'INT DEFAULT 0');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS group_invites (
+                id ${primaryKey(db)},
+                groupId VARCHAR(255),
+                token VARCHAR(64) UNIQUE,
+                createdBy VARCHAR(255),
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expiresAt BIGINT NULL,
+                revokedAt DATETIME NULL,
+                uses INT DEFAULT 0
+            );
+        `);
+        await createIndex(db, 'idx_group_invites_group', 'group_invites', 'groupId');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS group_join_requests (
+                id ${primaryKey(db)},
+                groupId VARCHAR(255),
+                userId VARCHAR(255),
+                inviteId INT,
+                status VARCHAR(20) DEFAULT 'pending',
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                decidedBy VARCHAR(255) NULL,
+                decidedAt DATETIME NULL
+            );
+        `);
+        await createIndex(db, 'idx_group_join_requests_group', 'group_join_requests', 'groupId, status');
+    }
+};
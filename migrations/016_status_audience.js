@@ -0,0 +1,23 @@
+const { primaryKey, addColumn, tableExists, createIndex } = require('./schema');
+
+// Per-status audience ('contacts' | 'except' | 'only') plus the user lists, see audience.js
+module.exports = {
+    id: '016_status_audience',
+    async up(db) {
+        for (const table of ['status', 'status_table']) {
+            if (await tableExists(db, table)) {
+                await addColumn(db, table, 'audience', "VARCHAR(20) DEFAULT 'contacts'");
+            }
+        }
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS status_audience (
+                id ${primaryKey(db)},
+                statusId VARCHAR(255),
+                userId VARCHAR(255),
+                UNIQUE(statusId, userId)
+            );
+        `);
+        await createIndex(db, 'idx_status_audience_user', 'status_audience', 'userId');
+    }
+};
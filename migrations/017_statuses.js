@@ -0,0 +1,127 @@
+const { primaryKey, tableExists, createIndex } = require('./schema');
+
+// One `statuses` table replacing both `status` (integer IDs, DATETIME expiry) and
+// `status_table` ("status-<ms>" IDs, millisecond expiry). Views, likes, comments and
+// audience lists are rebuilt with a real foreign key (ON DELETE CASCADE) and their
+// statusId remapped; rows for expired or unknown statuses are dropped.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SQLite "YYYY-MM-DD HH:MM:SS" (UTC) <-> Date
+const toDate = (ts) => ts instanceof Date ? ts : new Date(String(ts).replace(' ', 'T') + 'Z');
+const toDbTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// [table, columns (besides id/statusId), extra constraints]
+const CHILD_TABLES = [
+    ['status_views', ['userId', 'userName', 'timestamp'], 'UNIQUE(statusId, userId)'],
+    ['status_likes', ['userId', 'userName', 'timestamp'], 'UNIQUE(statusId, userId)'],
+    ['status_comments', ['userId', 'userName', 'content', 'timestamp'], null],
+    ['status_audience', ['userId'], 'UNIQUE(statusId, userId)']
+];
+
+const COLUMN_TYPES = {
+    userId: 'VARCHAR(255)',
+    userName: 'TEXT',
+    content: 'TEXT',
+    timestamp: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
+};
+
+// Epoch milliseconds from ms numbers, Dates, ISO strings or SQLite "YYYY-MM-DD HH:MM:SS" (UTC)
+const millis = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (/^\d+$/.test(String(value))) return Number(value);
+    const date = value instanceof Date || !String(value).includes('T') ? toDate(value) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.getTime();
+};
+
+async function copyStatuses(db, table, toRow) {
+    const ids = new Map(); // old ID -> new ID
+    if (!(await tableExists(db, table))) return ids;
+
+    const now = Date.now();
+    for (const old of await db.all(`SELECT * FROM ${table}`)) {
+        const row = toRow(old);
+        if (!row.expiresAt || row.expiresAt <= now) continue;
+
+        const result = await db.run(
+            `INSERT INTO statuses (userId, userName, avatar, type, content, caption, bgColor, mediaUrl, audience, timestamp, expiresAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)`,
+            [row.userId, row.userName || null, row.avatar || null, row.type || 'text', row.content || null, row.caption || null,
+                row.bgColor || null, row.mediaUrl || null, row.audience || 'contacts', row.timestamp, row.expiresAt]
+        );
+        ids.set(String(old.id), result.lastID);
+    }
+    return ids;
+}
+
+module.exports = {
+    id: '017_statuses',
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS statuses (
+                id ${primaryKey(db)},
+                userId VARCHAR(255),
+                userName TEXT,
+                avatar TEXT,
+                type VARCHAR(50),
+                content TEXT,
+                caption TEXT,
+                bgColor VARCHAR(50),
+                mediaUrl TEXT,
+                audience VARCHAR(20) DEFAULT 'contacts',
+                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expiresAt BIGINT
+            );
+        `);
+        await createIndex(db, 'idx_statuses_expires', 'statuses', 'expiresAt');
+        await createIndex(db, 'idx_statuses_user', 'statuses', 'userId');
+
+        const ids = new Map([
+            ...await copyStatuses(db, 'status', (s) => ({
+                ...s,
+                timestamp: s.timestamp instanceof Date ? toDbTimestamp(s.timestamp) : s.timestamp,
+                expiresAt: millis(s.expiresAt)
+            })),
+            ...await copyStatuses(db, 'status_table', (s) => {
+                const created = millis(s.timestamp);
+                return {
+                    ...s,
+                    timestamp: created ? toDbTimestamp(new Date(created)) : null,
+                    expiresAt: millis(s.expiresAt) || (created ? created + DAY_MS : null)
+                };
+            })
+        ]);
+
+        for (const [table, columns, constraints] of CHILD_TABLES) {
+            const legacy = `legacy_${table}`;
+            const hadTable = await tableExists(db, table);
+            if (hadTable) await db.exec(`ALTER TABLE ${table} RENAME TO ${legacy}`);
+
+            await db.exec(`
+                CREATE TABLE ${table} (
+                    id ${primaryKey(db)},
+                    statusId INT NOT NULL,
+                    ${columns.map(c => `${c} ${COLUMN_TYPES[c]}`).join(',\n                    ')},
+                    ${constraints ? `${constraints},` : ''}
+                    FOREIGN KEY (statusId) REFERENCES statuses(id) ON DELETE CASCADE
+                );
+            `);
+            if (!hadTable) continue;
+
+            for (const row of await db.all(`SELECT * FROM ${legacy}`)) {
+                const statusId = ids.get(String(row.statusId));
+                if (!statusId) continue;
+                await db.run(
+                    `INSERT INTO ${table} (statusId, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+                    [statusId, ...columns.map(c => row[c] instanceof Date ? toDbTimestamp(row[c]) : row[c])]
+                );
+            }
+            await db.exec(`DROP TABLE ${legacy}`);
+        }
+        await createIndex(db, 'idx_status_audience_user', 'status_audience', 'userId');
+
+        for (const table of ['status', 'status_table']) {
+            if (await tableExists(db, table)) await db.exec(`DROP TABLE ${table}`);
+        }
+    }
+};
@@ -0,0 +1,27 @@
+const { primaryKey, createIndex } = require('./schema');
+
+// One row per stored file (deduped by content hash per backend), see media.js
+module.exports = {
+    id: '018_media',
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS media (
+                id ${primaryKey(db)},
+                hash VARCHAR(64),
+                backend VARCHAR(50),
+                storageKey VARCHAR(255),
+                url TEXT,
+                mime VARCHAR(100),
+                kind VARCHAR(20),
+                size BIGINT,
+                width INT NULL,
+                height INT NULL,
+                duration DOUBLE NULL,
+                uploadedBy VARCHAR(255),
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(hash, backend)
+            );
+        `);
+        await createIndex(db, 'idx_media_storage_key', 'media', 'backend, storageKey');
+    }
+};
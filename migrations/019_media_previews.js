@@ -0,0 +1,12 @@
+const { addColumn } = require('./schema');
+
+// Thumbnails, poster frames, blurhash placeholders and voice-note waveforms, see previews.js
+module.exports = {
+    id: '019_media_previews',
+    async up(db) {
+        await addColumn(db, 'media', 'thumbnailUrl', 'TEXT NULL');
+        await addColumn(db, 'media', 'posterUrl', 'TEXT NULL');
+        await addColumn(db, 'media', 'blurhash', 'VARCHAR(100) NULL');
+        await addColumn(db, 'media', 'waveform', 'TEXT NULL'); // JSON array of 0-100 peaks
+    }
+};
@@ -0,0 +1,25 @@
+const { primaryKey, createIndex } = require('./schema');
+
+// Call history and state for 1:1 calls, see calls.js
+module.exports = {
+    id: '020_calls',
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS calls (
+                id ${primaryKey(db)},
+                callerId VARCHAR(255),
+                calleeId VARCHAR(255),
+                type VARCHAR(20) DEFAULT 'audio',
+                channelId VARCHAR(255) NULL,
+                status VARCHAR(20) DEFAULT 'ringing',
+                outcome VARCHAR(20) NULL,
+                startedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                answeredAt DATETIME NULL,
+                endedAt DATETIME NULL,
+                missedNotifiedAt DATETIME NULL
+            );
+        `);
+        await createIndex(db, 'idx_calls_caller', 'calls', 'callerId, id');
+        await createIndex(db, 'idx_calls_callee', 'calls', 'calleeId, id');
+    }
+};
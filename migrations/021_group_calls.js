@@ -0,0 +1,31 @@
+const { primaryKey, createIndex } = require('./schema');
+
+// Group call sessions and who joined them, see calls.js
+module.exports = {
+    id: '021_group_calls',
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS group_calls (
+                id ${primaryKey(db)},
+                groupId VARCHAR(255),
+                startedBy VARCHAR(255),
+                type VARCHAR(20) DEFAULT 'audio',
+                channelId VARCHAR(255) NULL,
+                startedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                endedAt DATETIME NULL
+            );
+        `);
+        await createIndex(db, 'idx_group_calls_group', 'group_calls', 'groupId, id');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS group_call_participants (
+                id ${primaryKey(db)},
+                callId INT,
+                userId VARCHAR(255),
+                joinedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                leftAt DATETIME NULL
+            );
+        `);
+        await createIndex(db, 'idx_group_call_participants_call', 'group_call_participants', 'callId');
+    }
+};
@@ -0,0 +1,11 @@
+const { addColumn, createIndex } = require('./schema');
+
+// Client-generated message IDs for idempotent sends, see messages.validateNewMessage
+module.exports = {
+    id: '022_client_msg_ids',
+    async up(db) {
+        await addColumn(db, 'messages', 'clientMsgId', 'VARCHAR(64) NULL');
+        // NULLs don't collide, so messages without one are unaffected
+        await createIndex(db, 'idx_messages_client_msg_id', 'messages', 'sender, clientMsgId', { unique: true });
+    }
+};
@@ -0,0 +1,11 @@
+// Read pointers past the chat's latest message (mark-read used to store any upToId)
+// made every later message count as read; pull them back to the latest message
+const latestInChat = "COALESCE((SELECT MAX(m.id) FROM messages m WHERE m.chatId = chat_reads.chatId), 0)";
+
+module.exports = {
+    id: '023_clamp_read_pointers',
+    async up(db) {
+        const result = await db.run(`UPDATE chat_reads SET lastReadId = ${latestInChat} WHERE lastReadId > ${latestInChat}`);
+        if (result.changes) console.log(`🔁 chat_reads: ${result.changes} read pointers clamped`);
+    }
+};
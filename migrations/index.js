@@ -0,0 +1,32 @@
+// --- SCHEMA MIGRATIONS (applied in order, each exactly once) ---
+// Recorded in schema_migrations by db.js. Databases that predate the runner already
+// have most of these tables, so the early migrations use IF NOT EXISTS and
+// column/index checks and simply get marked as applied.
+//
+// To change the schema, add the next numbered file here. Never edit one that has shipped.
+
+module.exports = [
+    require('./001_initial_schema'),
+    require('./002_groups_type'),
+    require('./003_status_table'),
+    require('./004_message_history_index'),
+    require('./005_message_receipts'),
+    require('./006_chat_reads'),
+    require('./007_conversations'),
+    require('./008_canonical_user_ids'),
+    require('./009_message_edits'),
+    require('./010_replies_and_forwards'),
+    require('./011_message_reactions'),
+    require('./012_membership_events'),
+    require('./013_message_search'),
+    require('./014_group_members_roles'),
+    require('./015_group_invites'),
+    require('./016_status_audience'),
+    require('./017_statuses'),
+    require('./018_media'),
+    require('./019_media_previews'),
+    require('./020_calls'),
+    require('./021_group_calls'),
+    require('./022_client_msg_ids'),
+    require('./023_clamp_read_pointers')
+];
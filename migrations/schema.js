@@ -0,0 +1,50 @@
+// --- DIALECT HELPERS FOR MIGRATIONS ---
+// Migrations are written once; these paper over the SQLite / MySQL differences.
+
+const isMySQL = (db) => db.constructor.name === 'MySQLWrapper';
+
+// MySQL uses AUTO_INCREMENT, SQLite uses AUTOINCREMENT
+const primaryKey = (db) => isMySQL(db) ? 'INT PRIMARY KEY AUTO_INCREMENT' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+
+const insertIgnore = (db) => isMySQL(db) ? 'INSERT IGNORE' : 'INSERT OR IGNORE';
+
+async function tableExists(db, table) {
+    const row = isMySQL(db)
+        ? await db.get("SELECT table_name FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?", [table])
+        : await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    return !!row;
+}
+
+async function columnExists(db, table, column) {
+    if (isMySQL(db)) {
+        const row = await db.get(
+            "SELECT column_name FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?",
+            [table, column]
+        );
+        return !!row;
+    }
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    return columns.some(c => c.name === column);
+}
+
+// ALTER TABLE ... ADD COLUMN has no IF NOT EXISTS in either dialect
+async function addColumn(db, table, column, definition) {
+    if (await columnExists(db, table, column)) return;
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// CREATE INDEX IF NOT EXISTS is SQLite-only, so MySQL ignores "duplicate key name" instead
+async function createIndex(db, name, table, columns, { unique = false } = {}) {
+    const kind = unique ? 'UNIQUE INDEX' : 'INDEX';
+    if (isMySQL(db)) {
+        try {
+            await db.exec(`CREATE ${kind} ${name} ON ${table} (${columns})`);
+        } catch (e) {
+            if (e.code !== 'ER_DUP_KEYNAME') throw e;
+        }
+    } else {
+        await db.exec(`CREATE ${kind} IF NOT EXISTS ${name} ON ${table} (${columns})`);
+    }
+}
+
+module.exports = { isMySQL, primaryKey, insertIgnore, tableExists, columnExists, addColumn, createIndex };
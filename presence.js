@@ -0,0 +1,71 @@
+require('dotenv').config();
+
+// --- PRESENCE & TYPING ---
+// In-memory, per process: which sockets each user has open (a user is online while
+// any tab/device is connected) and who is typing where. Typing expires on its own
+// if the client never sends typing_stop (closed app, lost connection).
+
+const TYPING_TIMEOUT_MS = parseInt(process.env.TYPING_TIMEOUT_SECONDS || '6', 10) * 1000;
+
+function createPresence({ typingTimeoutMs = TYPING_TIMEOUT_MS } = {}) {
+    const sockets = new Map(); // userId -> Set(socketId)
+    const typing = new Map();  // "userId|chatId" -> timeout
+
+    return {
+        // true when this is the user's first socket (offline -> online)
+        connect(userId, socketId) {
+            if (!sockets.has(userId)) sockets.set(userId, new Set());
+            const set = sockets.get(userId);
+            set.add(socketId);
+            return set.size === 1;
+        },
+
+        // true when this was the user's last socket (online -> offline)
+        disconnect(userId, socketId) {
+            const set = sockets.get(userId);
+            if (!set) return false;
+            set.delete(socketId);
+            if (set.size) return false;
+            sockets.delete(userId);
+            return true;
+        },
+
+        isOnline: (userId) => sockets.has(userId),
+
+        // true when the user wasn't already typing here; repeats just extend the timer
+        startTyping(userId, chatId, onExpire) {
+            const key = `${userId}|${chatId}`;
+            const wasTyping = typing.has(key);
+            clearTimeout(typing.get(key));
+            typing.set(key, setTimeout(() => {
+                typing.delete(key);
+                onExpire();
+            }, typingTimeoutMs));
+            return !wasTyping;
+        },
+
+        // true when the user was typing here
+        stopTyping(userId, chatId) {
+            const key = `${userId}|${chatId}`;
+            if (!typing.has(key)) return false;
+            clearTimeout(typing.get(key));
+            typing.delete(key);
+            return true;
+        },
+
+        // Clears every chat the user is typing in and returns those chat IDs
+        stopAllTyping(userId) {
+            const chatIds = [];
+            for (const [key, timer] of typing) {
+                const [typist, chatId] = key.split('|');
+                if (typist !== userId) continue;
+                clearTimeout(timer);
+                typing.delete(key);
+                chatIds.push(chatId);
+            }
+            return chatIds;
+        }
+    };
+}
+
+module.exports = { createPresence, TYPING_TIMEOUT_MS };
@@ -0,0 +1,125 @@
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+
+// --- MEDIA PREVIEWS ---
+// Generated once at upload time and stored with the same storage backend as the media:
+//   image: small JPEG thumbnail + blurhash placeholder
+//   video: poster frame (and a thumbnail + blurhash of it), needs ffmpeg
+//   audio: waveform summary (WAVEFORM_BARS peaks scaled 0-100), ffmpeg for anything but PCM WAV
+// Without ffmpeg, or for a file that won't decode, the preview is just left out.
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = 30 * 1000;
+const THUMBNAIL_SIZE = 320;
+const BLURHASH_SIZE = 32;
+const WAVEFORM_BARS = 64;
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        execFile(FFMPEG_PATH, ['-v', 'error', ...args], { encoding: 'buffer', maxBuffer: 64 * 1024 * 1024, timeout: FFMPEG_TIMEOUT_MS },
+            (err, stdout) => err ? reject(err) : resolve(stdout));
+    });
+}
+
+// ffmpeg needs a seekable input for most containers (MP4 keeps its index at the end):
+// a file path is used as-is, a buffer is written to a temp file first
+async function withTempFile(source, ext, fn) {
+    if (!Buffer.isBuffer(source)) return fn(source);
+
+    const file = path.join(os.tmpdir(), `wavechat-${crypto.randomBytes(8).toString('hex')}.${ext}`);
+    await fs.promises.writeFile(file, source);
+    try {
+        return await fn(file);
+    } finally {
+        await fs.promises.unlink(file).catch(() => { });
+    }
+}
+
+const thumbnailOf = (image) => sharp(image)
+    .rotate() // honour EXIF orientation
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+async function blurhashOf(image) {
+    const { data, info } = await sharp(image)
+        .rotate()
+        .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+}
+
+// The "thumbnail" filter picks a representative frame rather than a black first one
+const posterFrame = (file) => runFfmpeg(['-i', file, '-vf', 'thumbnail', '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'mjpeg', '-']);
+
+// Mono 16-bit samples: read straight from PCM WAV, otherwise decoded by ffmpeg
+async function pcmSamples(buffer, type) {
+    if (type.mime === 'audio/wav' && buffer.readUInt16LE(20) === 1 && buffer.readUInt16LE(34) === 16) {
+        const channels = buffer.readUInt16LE(22);
+        const data = buffer.indexOf('data', 12);
+        if (data >= 0) {
+            const end = Math.min(buffer.length, data + 8 + buffer.readUInt32LE(data + 4));
+            const samples = [];
+            for (let i = data + 8; i + 1 < end; i += 2 * channels) samples.push(buffer.readInt16LE(i));
+            return Int16Array.from(samples);
+        }
+    }
+    const raw = await withTempFile(buffer, type.ext, (file) =>
+        runFfmpeg(['-i', file, '-f', 's16le', '-ac', '1', '-ar', String(WAVEFORM_SAMPLE_RATE), '-']));
+    return new Int16Array(raw.buffer, raw.byteOffset, Math.floor(raw.length / 2));
+}
+
+// Peak per bar, scaled so the loudest bar is 100
+function waveformOf(samples) {
+    if (!samples.length) return null;
+    const perBar = Math.max(1, Math.floor(samples.length / WAVEFORM_BARS));
+    const peaks = [];
+    for (let bar = 0; bar < WAVEFORM_BARS && bar * perBar < samples.length; bar++) {
+        let peak = 0;
+        for (let i = bar * perBar; i < Math.min(samples.length, (bar + 1) * perBar); i++) {
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        peaks.push(peak);
+    }
+    const loudest = Math.max(...peaks) || 1;
+    return peaks.map(p => Math.round((p / loudest) * 100));
+}
+
+// source: the media as a Buffer (images and audio) or a file path (video, documents);
+// type: from media.sniffType; keys are derived from the media's content hash.
+// Returns { thumbnailUrl, posterUrl, blurhash, waveform, width, height } (nulls where not applicable)
+async function generatePreviews(source, type, { storage, hash }) {
+    const previews = { thumbnailUrl: null, posterUrl: null, blurhash: null, waveform: null, width: null, height: null };
+    const saveJpeg = (image, suffix) => storage.save(image, { key: `${hash}.${suffix}.jpg`, mime: 'image/jpeg' });
+
+    try {
+        if (type.kind === 'image') {
+            previews.thumbnailUrl = await saveJpeg(await thumbnailOf(source), 'thumb');
+            previews.blurhash = await blurhashOf(source);
+        } else if (type.kind === 'video') {
+            const poster = await withTempFile(source, type.ext, posterFrame);
+            const { width, height } = await sharp(poster).metadata();
+            Object.assign(previews, { width, height });
+            previews.posterUrl = await saveJpeg(poster, 'poster');
+            previews.thumbnailUrl = await saveJpeg(await thumbnailOf(poster), 'thumb');
+            previews.blurhash = await blurhashOf(poster);
+        } else if (type.kind === 'audio') {
+            previews.waveform = waveformOf(await pcmSamples(source, type));
+        }
+    } catch (e) {
+        const reason = e.code === 'ENOENT' ? 'ffmpeg not found' : e.message;
+        console.warn(`⚠️ No preview for ${type.mime} ${hash.slice(0, 12)}: ${reason}`);
+    }
+    return previews;
+}
+
+module.exports = { generatePreviews, waveformOf };
@@ -0,0 +1,114 @@
+require('dotenv').config();
+
+// --- RATE LIMITING ---
+// Fixed-window counters per rule and subject (an IP, a phone number or a user ID).
+// Every store exposes the same shape, so the counters can live outside the process
+// when several instances run behind a load balancer:
+//   { name, hit(key, windowMs) -> { count, resetAt } }
+// hit() counts this request (count includes it) and must be atomic; in Redis that's
+// INCR plus PEXPIRE on the first hit. Only the in-memory store ships here; add a
+// factory to `stores` and select it with RATE_LIMIT_STORE.
+
+// Defaults as [limit, window seconds]; override with RATE_LIMIT_<RULE>=limit/seconds,
+// e.g. RATE_LIMIT_OTP_SEND_PHONE=3/600. A limit of 0 turns the rule off.
+const DEFAULT_RULES = {
+    otp_send_ip: [20, 60 * 60],
+    otp_send_phone: [3, 10 * 60],
+    otp_verify_ip: [30, 10 * 60],
+    message_send: [60, 60],
+    group_create: [10, 60 * 60],
+    status_post: [30, 60 * 60],
+    upload: [30, 60]
+};
+
+function parseRule(name, [limit, seconds]) {
+    const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+    const match = override && override.match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+    if (override && !match) console.warn(`⚠️ Ignoring RATE_LIMIT_${name.toUpperCase()}="${override}" (expected limit/seconds)`);
+    return match
+        ? { limit: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * 1000 }
+        : { limit, windowMs: seconds * 1000 };
+}
+
+const loadRules = () => Object.fromEntries(
+    Object.entries(DEFAULT_RULES).map(([name, rule]) => [name, parseRule(name, rule)])
+);
+
+const memoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+    const windows = new Map(); // key -> { count, resetAt }
+
+    // Drop finished windows so one-off IPs and numbers don't pile up
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+    }, sweepIntervalMs);
+    timer.unref();
+
+    return {
+        name: 'memory',
+        async hit(key, windowMs) {
+            const now = Date.now();
+            let w = windows.get(key);
+            if (!w || w.resetAt <= now) {
+                w = { count: 0, resetAt: now + windowMs };
+                windows.set(key, w);
+            }
+            w.count++;
+            return { count: w.count, resetAt: w.resetAt };
+        }
+    };
+};
+
+const stores = {
+    memory: memoryStore
+};
+
+function createRateLimiter({ store = process.env.RATE_LIMIT_STORE || 'memory', rules = loadRules() } = {}) {
+    const factory = typeof store === 'string' ? stores[store] : null;
+    if (typeof store === 'string' && !factory) throw new Error(`Unknown rate limit store: ${store}`);
+    const backend = factory ? factory() : store;
+
+    return {
+        store: backend.name,
+
+        // { allowed, limit, remaining, retryAfter (seconds) }; unknown or disabled rules always pass
+        async check(ruleName, subject) {
+            const rule = rules[ruleName];
+            if (!rule || !rule.limit || !subject) return { allowed: true, limit: null, remaining: null, retryAfter: 0 };
+
+            const { count, resetAt } = await backend.hit(`${ruleName}:${subject}`, rule.windowMs);
+            return {
+                allowed: count <= rule.limit,
+                limit: rule.limit,
+                remaining: Math.max(0, rule.limit - count),
+                retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+            };
+        },
+
+        // Express middleware: 429 with Retry-After once subjectOf(req) is over the limit.
+        // A null subject skips the rule (the route rejects bad input itself). If the
+        // store is unreachable the request goes through rather than failing.
+        middleware(ruleName, subjectOf) {
+            return async (req, res, next) => {
+                let result;
+                try {
+                    result = await this.check(ruleName, subjectOf(req));
+                } catch (e) {
+                    console.error(`⚠️ Rate limit store error (${ruleName}):`, e.message);
+                    return next();
+                }
+                if (result.limit !== null) {
+                    res.set('RateLimit-Limit', String(result.limit));
+                    res.set('RateLimit-Remaining', String(result.remaining));
+                    res.set('RateLimit-Reset', String(result.retryAfter));
+                }
+                if (result.allowed) return next();
+
+                res.set('Retry-After', String(result.retryAfter));
+                res.status(429).json({ error: "Too many requests, try again later", retryAfter: result.retryAfter });
+            };
+        }
+    };
+}
+
+module.exports = { createRateLimiter, stores, DEFAULT_RULES };
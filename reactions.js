@@ -0,0 +1,64 @@
+const { getMessage, isParticipant } = require('./messages');
+const { isMySQL, placeholders } = require('./dialect');
+
+// --- MESSAGE REACTIONS ---
+// One row per (message, user): reacting again replaces the emoji, an empty emoji
+// removes it. History and broadcasts carry the aggregate:
+// reactions: [{ emoji, count, users: [userId, ...] }]
+
+const MAX_EMOJI_LENGTH = 32; // ZWJ sequences and skin tones run long
+
+// messageId -> [{ emoji, count, users }], most used first
+async function summarizeReactions(db, messageIds) {
+    const summary = {};
+    if (!messageIds.length) return summary;
+
+    const rows = await db.all(
+        `SELECT messageId, emoji, userId FROM message_reactions
+         WHERE messageId IN (${placeholders(messageIds)}) ORDER BY id`,
+        messageIds
+    );
+
+    for (const r of rows) {
+        const list = summary[r.messageId] || (summary[r.messageId] = []);
+        let entry = list.find(e => e.emoji === r.emoji);
+        if (!entry) list.push(entry = { emoji: r.emoji, count: 0, users: [] });
+        entry.count++;
+        entry.users.push(r.userId);
+    }
+    Object.values(summary).forEach(list => list.sort((a, b) => b.count - a.count));
+    return summary;
+}
+
+async function attachReactions(db, rows) {
+    const summary = await summarizeReactions(db, rows.map(m => m.id));
+    rows.forEach(m => { m.reactions = summary[m.id] || []; });
+    return rows;
+}
+
+// Returns { message, reactions } or { status, error }
+async function reactToMessage(db, userId, messageId, emoji) {
+    if (emoji !== null && emoji !== undefined && emoji !== '' &&
+        (typeof emoji !== 'string' || emoji.length > MAX_EMOJI_LENGTH)) {
+        return { status: 400, error: "Invalid reaction" };
+    }
+
+    const message = await getMessage(db, messageId);
+    if (!message) return { status: 404, error: "Message not found" };
+    if (message.deletedAt) return { status: 409, error: "Message was deleted" };
+    if (!(await isParticipant(db, userId, message))) return { status: 403, error: "Not a participant" };
+
+    if (!emoji) {
+        await db.run("DELETE FROM message_reactions WHERE messageId = ? AND userId = ?", [message.id, userId]);
+    } else {
+        const query = isMySQL(db)
+            ? "INSERT INTO message_reactions (messageId, userId, emoji) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE emoji = VALUES(emoji), reactedAt = CURRENT_TIMESTAMP"
+            : "INSERT INTO message_reactions (messageId, userId, emoji) VALUES (?, ?, ?) ON CONFLICT(messageId, userId) DO UPDATE SET emoji = excluded.emoji, reactedAt = CURRENT_TIMESTAMP";
+        await db.run(query, [message.id, userId, emoji]);
+    }
+
+    const summary = await summarizeReactions(db, [message.id]);
+    return { message, reactions: summary[message.id] || [] };
+}
+
+module.exports = { reactToMessage, summarizeReactions, attachReactions };
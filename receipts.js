@@ -0,0 +1,130 @@
+const { isMySQL, placeholders } = require('./dialect');
+
+// --- MESSAGE RECEIPTS ---
+// One row per (message, recipient). A message is "sent" until every recipient
+// has a deliveredAt, "delivered" until every recipient has a readAt, then "read".
+
+async function createReceipts(db, messageId, recipientIds) {
+    for (const userId of new Set(recipientIds)) {
+        await db.run("INSERT INTO message_receipts (messageId, userId) VALUES (?, ?)", [messageId, userId]);
+    }
+}
+
+// Returns the receipts that actually changed: [{ messageId, chatId, sender }]
+async function markDelivered(db, userId, messageIds) {
+    const ids = messageIds.map(Number).filter(Number.isInteger);
+    if (!ids.length) return [];
+
+    const pending = await db.all(
+        `SELECT r.messageId, m.chatId, m.sender FROM message_receipts r
+         JOIN messages m ON m.id = r.messageId
+         WHERE r.userId = ? AND r.deliveredAt IS NULL AND r.messageId IN (${placeholders(ids)})`,
+        [userId, ...ids]
+    );
+    if (!pending.length) return [];
+
+    await db.run(
+        `UPDATE message_receipts SET deliveredAt = CURRENT_TIMESTAMP
+         WHERE userId = ? AND deliveredAt IS NULL AND messageId IN (${placeholders(pending)})`,
+        [userId, ...pending.map(p => p.messageId)]
+    );
+    return pending;
+}
+
+// Marks everything in the chat up to (and including) upToId as read
+async function markRead(db, userId, chatId, upToId) {
+    const pending = await db.all(
+        `SELECT r.messageId, m.chatId, m.sender FROM message_receipts r
+         JOIN messages m ON m.id = r.messageId
+         WHERE r.userId = ? AND r.readAt IS NULL AND m.chatId = ? AND m.id <= ?`,
+        [userId, chatId, upToId]
+    );
+    if (!pending.length) return [];
+
+    await db.run(
+        `UPDATE message_receipts SET readAt = CURRENT_TIMESTAMP, deliveredAt = COALESCE(deliveredAt, CURRENT_TIMESTAMP)
+         WHERE userId = ? AND readAt IS NULL AND messageId IN (${placeholders(pending)})`,
+        [userId, ...pending.map(p => p.messageId)]
+    );
+    return pending;
+}
+
+// messageId -> 'sent' | 'delivered' | 'read'
+async function aggregateStatus(db, messageIds) {
+    const statuses = {};
+    if (!messageIds.length) return statuses;
+
+    const rows = await db.all(
+        `SELECT messageId, COUNT(*) AS total,
+                SUM(CASE WHEN deliveredAt IS NOT NULL THEN 1 ELSE 0 END) AS delivered,
+                SUM(CASE WHEN readAt IS NOT NULL THEN 1 ELSE 0 END) AS readCount
+         FROM message_receipts WHERE messageId IN (${placeholders(messageIds)})
+         GROUP BY messageId`,
+        messageIds
+    );
+
+    for (const r of rows) {
+        const total = Number(r.total);
+        if (Number(r.readCount) === total) statuses[r.messageId] = 'read';
+        else if (Number(r.delivered) === total) statuses[r.messageId] = 'delivered';
+        else statuses[r.messageId] = 'sent';
+    }
+    return statuses;
+}
+
+// Per-recipient breakdown for the "message info" screen
+async function getReceipts(db, messageId) {
+    const rows = await db.all(
+        `SELECT r.userId, u.name, r.deliveredAt, r.readAt FROM message_receipts r
+         LEFT JOIN users u ON u.phone = r.userId
+         WHERE r.messageId = ?`,
+        [messageId]
+    );
+
+    return {
+        readBy: rows.filter(r => r.readAt),
+        deliveredTo: rows.filter(r => r.deliveredAt && !r.readAt),
+        pending: rows.filter(r => !r.deliveredAt)
+    };
+}
+
+// --- LAST-READ MARKERS ---
+// chat_reads keeps one pointer per (user, chat); it only ever moves forward.
+
+async function setLastRead(db, userId, chatId, messageId) {
+    const query = isMySQL(db)
+        ? "INSERT INTO chat_reads (userId, chatId, lastReadId) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE lastReadId = GREATEST(lastReadId, VALUES(lastReadId)), updatedAt = CURRENT_TIMESTAMP"
+        : "INSERT INTO chat_reads (userId, chatId, lastReadId) VALUES (?, ?, ?) ON CONFLICT(userId, chatId) DO UPDATE SET lastReadId = MAX(lastReadId, excluded.lastReadId), updatedAt = CURRENT_TIMESTAMP";
+
+    await db.run(query, [userId, chatId, messageId]);
+}
+
+// chatId -> { lastReadId, unread } (messages from others after the pointer)
+async function getReadState(db, userId, chatIds) {
+    const state = {};
+    if (!chatIds.length) return state;
+    chatIds.forEach(id => { state[id] = { lastReadId: 0, unread: 0 }; });
+
+    const pointers = await db.all(
+        `SELECT chatId, lastReadId FROM chat_reads WHERE userId = ? AND chatId IN (${placeholders(chatIds)})`,
+        [userId, ...chatIds]
+    );
+    pointers.forEach(p => { state[p.chatId].lastReadId = Number(p.lastReadId); });
+
+    const counts = await db.all(
+        `SELECT m.chatId, COUNT(m.id) AS unread FROM messages m
+         LEFT JOIN chat_reads cr ON cr.chatId = m.chatId AND cr.userId = ?
+         WHERE m.chatId IN (${placeholders(chatIds)}) AND m.id > COALESCE(cr.lastReadId, 0)
+           AND m.sender <> ?
+         GROUP BY m.chatId`,
+        [userId, ...chatIds, userId]
+    );
+    counts.forEach(c => { state[c.chatId].unread = Number(c.unread); });
+
+    return state;
+}
+
+module.exports = {
+    createReceipts, markDelivered, markRead, aggregateStatus, getReceipts,
+    setLastRead, getReadState
+};
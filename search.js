@@ -0,0 +1,133 @@
+const { toDbTimestamp } = require('./messages');
+const { isMySQL } = require('./dialect');
+
+// --- MESSAGE SEARCH ---
+// Full-text search over the chats a user belongs to: private chats they're a side of
+// and groups they're in (group_members). SQLite uses the messages_fts FTS5 table,
+// MySQL the FULLTEXT index (see migrations/013_message_search.js). Snippets are
+// HTML: the message text is escaped and matches are wrapped in <mark></mark>.
+
+const MAX_TERMS = 10;
+const SNIPPET_TOKENS = 12;
+const SNIPPET_CHARS = 80;
+
+// Words only: FTS5 and MySQL boolean mode both have their own query syntax
+const searchTerms = (q) => (String(q || '').match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_TERMS);
+
+// InnoDB never indexes words shorter than innodb_ft_min_token_size or on its default
+// stopword list, so a required "+the*" in boolean mode matches nothing. Those terms
+// are matched with LIKE instead.
+const FT_MIN_TOKEN_SIZE = parseInt(process.env.DB_FT_MIN_TOKEN_SIZE || '3', 10);
+const INNODB_STOPWORDS = new Set([
+    'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from', 'how',
+    'i', 'in', 'is', 'it', 'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what',
+    'when', 'where', 'who', 'will', 'with', 'und', 'www'
+]);
+const isIndexable = (term) => [...term].length >= FT_MIN_TOKEN_SIZE && !INNODB_STOPWORDS.has(term.toLowerCase());
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches are first delimited with control characters that can't come from the
+// escaping, then the text is escaped and the delimiters become <mark> tags
+const MARK_OPEN = '\u0001';
+const MARK_CLOSE = '\u0002';
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const markedToHtml = (s) => s
+    .replace(/[&<>"']/g, c => HTML_ENTITIES[c])
+    .split(MARK_OPEN).join('<mark>')
+    .split(MARK_CLOSE).join('</mark>');
+
+// MySQL has no snippet(): window around the first hit, matches marked
+function buildSnippet(text, terms) {
+    if (!text) return '';
+    text = text.replace(/[\u0001\u0002]/g, '');
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+    const first = text.search(pattern);
+    const start = Math.max(0, first - SNIPPET_CHARS / 2);
+    const end = Math.min(text.length, start + SNIPPET_CHARS);
+
+    const window = text.slice(start, end).replace(pattern, `${MARK_OPEN}$&${MARK_CLOSE}`);
+    return markedToHtml((start > 0 ? '…' : '') + window + (end < text.length ? '…' : ''));
+}
+
+// filters: { q, chatId, sender, type, from, to, limit, offset } (already normalized)
+// Returns { results, hasMore, nextOffset } or { status, error }
+async function searchMessages(db, userId, filters) {
+    const terms = searchTerms(filters.q);
+    if (!terms.length) return { status: 400, error: "Search query is required" };
+
+    const { limit, offset } = filters;
+
+    const where = [
+        `(m.chatId IN (SELECT cp.conversationId FROM conversation_participants cp
+                       JOIN conversations c ON c.id = cp.conversationId AND c.isGroup = 0
+                       WHERE cp.userId = ?)
+          OR m.chatId IN (SELECT groupId FROM group_members WHERE userId = ?))`,
+        "m.deletedAt IS NULL",
+        "h.id IS NULL"
+    ];
+    const params = [userId, userId];
+
+    if (filters.chatId) { where.push("m.chatId = ?"); params.push(filters.chatId); }
+    if (filters.sender) { where.push("m.sender = ?"); params.push(filters.sender); }
+    if (filters.type) { where.push("m.type = ?"); params.push(filters.type); }
+    if (filters.from) { where.push("m.timestamp >= ?"); params.push(toDbTimestamp(filters.from)); }
+    if (filters.to) { where.push("m.timestamp <= ?"); params.push(toDbTimestamp(filters.to)); }
+
+    let sql;
+    if (isMySQL(db)) {
+        const unindexed = terms.filter(t => !isIndexable(t));
+        for (const t of unindexed) { where.push("m.text LIKE ?"); params.push(`%${t}%`); }
+
+        const indexed = terms.filter(isIndexable);
+        if (indexed.length) {
+            const match = indexed.map(t => `+${t}*`).join(' ');
+            sql = `SELECT m.id, m.chatId, m.sender, m.text, m.type, m.mediaUrl, m.timestamp,
+                          MATCH(m.text) AGAINST (? IN BOOLEAN MODE) AS score
+                   FROM messages m
+                   LEFT JOIN message_hidden h ON h.messageId = m.id AND h.userId = ?
+                   WHERE MATCH(m.text) AGAINST (? IN BOOLEAN MODE) AND ${where.join(' AND ')}
+                   ORDER BY score DESC, m.id DESC`;
+            params.unshift(match, userId, match);
+        } else {
+            // Nothing the index can answer: a LIKE scan, newest first
+            sql = `SELECT m.id, m.chatId, m.sender, m.text, m.type, m.mediaUrl, m.timestamp, 0 AS score
+                   FROM messages m
+                   LEFT JOIN message_hidden h ON h.messageId = m.id AND h.userId = ?
+                   WHERE ${where.join(' AND ')}
+                   ORDER BY m.id DESC`;
+            params.unshift(userId);
+        }
+    } else {
+        const match = terms.map(t => `"${t}"*`).join(' ');
+        sql = `SELECT m.id, m.chatId, m.sender, m.text, m.type, m.mediaUrl, m.timestamp,
+                      snippet(messages_fts, 0, char(1), char(2), '…', ${SNIPPET_TOKENS}) AS snippet,
+                      -bm25(messages_fts) AS score
+               FROM messages_fts
+               JOIN messages m ON m.id = messages_fts.rowid
+               LEFT JOIN message_hidden h ON h.messageId = m.id AND h.userId = ?
+               WHERE messages_fts MATCH ? AND ${where.join(' AND ')}
+               ORDER BY score DESC, m.id DESC`;
+        params.unshift(userId, match);
+    }
+    // limit/offset are validated integers (MySQL prepared statements reject LIMIT ?)
+    sql += ` LIMIT ${limit + 1} OFFSET ${offset}`;
+
+    const rows = await db.all(sql, params);
+    const hasMore = rows.length > limit;
+    const results = rows.slice(0, limit).map(r => ({
+        id: r.id,
+        chatId: r.chatId,
+        sender: r.sender,
+        type: r.type,
+        mediaUrl: r.mediaUrl,
+        timestamp: r.timestamp,
+        snippet: r.snippet !== undefined ? markedToHtml(r.snippet || '') : buildSnippet(r.text, terms),
+        score: Number(r.score)
+    }));
+
+    return { results, hasMore, nextOffset: hasMore ? offset + limit : null };
+}
+
+module.exports = { searchMessages, searchTerms };
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// --- SMS PROVIDERS ---
+// Every provider exposes the same shape: { name, sendOtp(phone, code) }.
+// sendOtp resolves once the message has been handed off and throws on failure.
+
+const consoleProvider = () => ({
+    name: 'console',
+    async sendOtp(phone, code) {
+        console.log(`📨 [SMS:console] OTP for ${phone}: ${code}`);
+    }
+});
+
+const fileProvider = (filePath = process.env.SMS_LOG_FILE || path.join(__dirname, 'sms.log')) => ({
+    name: 'file',
+    async sendOtp(phone, code) {
+        const line = JSON.stringify({ phone, code, sentAt: new Date().toISOString() }) + '\n';
+        await fs.promises.appendFile(filePath, line);
+    }
+});
+
+const fast2smsProvider = (apiKey = process.env.FAST2SMS_API_KEY) => {
+    if (!apiKey) throw new Error('FAST2SMS_API_KEY is not set');
+
+    return {
+        name: 'fast2sms',
+        async sendOtp(phone, code) {
+            const res = await fetch('https://www.fast2sms.com/dev/bulkV2', {
+                method: 'POST',
+                headers: {
+                    authorization: apiKey,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    route: 'otp',
+                    variables_values: String(code),
+                    numbers: phone.replace(/^\+91/, '') // Fast2SMS takes Indian national numbers
+                })
+            });
+            const body = await res.json().catch(() => ({}));
+            if (!res.ok || body.return === false) {
+                throw new Error(`Fast2SMS rejected request: ${body.message || res.status}`);
+            }
+        }
+    };
+};
+
+const providers = {
+    console: consoleProvider,
+    file: fileProvider,
+    fast2sms: fast2smsProvider
+};
+
+// Pick the provider from SMS_PROVIDER (defaults to console for local dev)
+function createSmsProvider(name = process.env.SMS_PROVIDER || 'console') {
+    const factory = providers[name];
+    if (!factory) throw new Error(`Unknown SMS provider: ${name}`);
+    return factory();
+}
+
+module.exports = { createSmsProvider, providers };
@@ -0,0 +1,138 @@
+require('dotenv').config();
+const audience = require('./audience');
+const { toDate } = require('./messages');
+const { insertIgnore, placeholders } = require('./dialect');
+
+// --- STATUSES ---
+// 24-hour status updates in the `statuses` table. Views, likes, comments and audience
+// lists reference it by foreign key and go with it when it's deleted. Expired
+// statuses are removed by a periodic sweeper (startStatusSweeper), not on read.
+// Same return convention as messages.js ({ status, error } on refusal).
+
+const STATUS_TTL_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = parseInt(process.env.STATUS_SWEEP_INTERVAL_SECONDS || '300', 10) * 1000;
+
+const statusView = (s) => ({
+    ...s,
+    timestamp: toDate(s.timestamp).toISOString(),
+    expiresAt: new Date(Number(s.expiresAt)).toISOString()
+});
+
+const getStatus = (db, statusId) =>
+    db.get("SELECT * FROM statuses WHERE id = ? AND expiresAt > ?", [statusId, Date.now()]);
+
+// body: { type, content, caption, bgColor, mediaUrl, userName, avatar, audience, audienceUserIds }
+async function createStatus(db, userId, body) {
+    const rule = audience.parseAudience(body);
+    if (rule.error) return rule;
+    if (!body.content && !body.mediaUrl) return { status: 400, error: "content or mediaUrl is required" };
+
+    const result = await db.run(
+        `INSERT INTO statuses (userId, userName, avatar, type, content, caption, bgColor, mediaUrl, audience, expiresAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, body.userName || null, body.avatar || null, body.type || 'text', body.content || null,
+            body.caption || null, body.bgColor || null, body.mediaUrl || null, rule.audience, Date.now() + STATUS_TTL_MS]
+    );
+    await audience.saveAudience(db, result.lastID, rule.userIds);
+
+    const created = await db.get("SELECT * FROM statuses WHERE id = ?", [result.lastID]);
+    return { newStatus: statusView(created), recipients: await audience.recipientsOf(db, created) };
+}
+
+async function listVisibleStatuses(db, viewerId) {
+    const rows = await db.all("SELECT * FROM statuses WHERE expiresAt > ? ORDER BY timestamp DESC, id DESC", [Date.now()]);
+    return (await audience.filterVisible(db, viewerId, rows)).map(statusView);
+}
+
+// Statuses outside the viewer's audience look the same as missing ones
+async function loadForViewer(db, viewerId, statusId) {
+    const found = await getStatus(db, statusId);
+    if (!found || !(await audience.canViewStatus(db, viewerId, found))) return { status: 404, error: "Status not found" };
+    return { found };
+}
+
+
+// Interactions return { authorId } so the caller can notify the author alone
+async function viewStatus(db, viewerId, statusId, userName) {
+    const loaded = await loadForViewer(db, viewerId, statusId);
+    if (loaded.error) return loaded;
+
+    await db.run(`${insertIgnore(db)} INTO status_views (statusId, userId, userName) VALUES (?, ?, ?)`, [loaded.found.id, viewerId, userName || null]);
+    return { authorId: loaded.found.userId };
+}
+
+async function likeStatus(db, viewerId, statusId, userName) {
+    const loaded = await loadForViewer(db, viewerId, statusId);
+    if (loaded.error) return loaded;
+
+    await db.run(`${insertIgnore(db)} INTO status_likes (statusId, userId, userName) VALUES (?, ?, ?)`, [loaded.found.id, viewerId, userName || null]);
+    return { authorId: loaded.found.userId };
+}
+
+async function commentOnStatus(db, viewerId, statusId, userName, content) {
+    if (typeof content !== 'string' || !content.trim()) return { status: 400, error: "content is required" };
+    const loaded = await loadForViewer(db, viewerId, statusId);
+    if (loaded.error) return loaded;
+
+    await db.run(
+        "INSERT INTO status_comments (statusId, userId, userName, content) VALUES (?, ?, ?, ?)",
+        [loaded.found.id, viewerId, userName || null, content]
+    );
+    return { authorId: loaded.found.userId };
+}
+
+// Views, likes and comments: for the author only
+async function getInteractions(db, userId, statusId) {
+    const found = await getStatus(db, statusId);
+    if (!found) return { status: 404, error: "Status not found" };
+    if (found.userId !== userId) return { status: 403, error: "Only the author can see interactions" };
+
+    const [views, likes, comments] = await Promise.all(['status_views', 'status_likes', 'status_comments'].map(
+        table => db.all(`SELECT * FROM ${table} WHERE statusId = ? ORDER BY id`, [found.id])
+    ));
+    return { views, likes, comments };
+}
+
+// Deletes expired statuses (interactions cascade) and their uploaded media.
+// deleteMedia(url, authorId) is best-effort: a failure is logged and the row still goes.
+async function sweepExpiredStatuses(db, deleteMedia) {
+    const expired = await db.all("SELECT id, userId, mediaUrl FROM statuses WHERE expiresAt <= ?", [Date.now()]);
+    if (!expired.length) return 0;
+
+    for (const s of expired) {
+        if (s.mediaUrl && deleteMedia) {
+            try {
+                await deleteMedia(s.mediaUrl, s.userId);
+            } catch (e) {
+                console.error(`⚠️ Could not delete media for status ${s.id}:`, e.message);
+            }
+        }
+    }
+
+    const ids = expired.map(s => s.id);
+    const idList = placeholders(ids);
+    // Explicit child deletes too, in case foreign keys aren't enforced on this connection
+    for (const table of ['status_views', 'status_likes', 'status_comments', 'status_audience']) {
+        await db.run(`DELETE FROM ${table} WHERE statusId IN (${idList})`, ids);
+    }
+    await db.run(`DELETE FROM statuses WHERE id IN (${idList})`, ids);
+    return ids.length;
+}
+
+// Runs once now, then every STATUS_SWEEP_INTERVAL_SECONDS; returns the timer
+function startStatusSweeper(db, { deleteMedia, intervalMs = SWEEP_INTERVAL_MS } = {}) {
+    const sweep = () => sweepExpiredStatuses(db, deleteMedia)
+        .then(count => { if (count) console.log(`🧹 Swept ${count} expired status(es)`); })
+        .catch(e => console.error("Status sweep error", e));
+
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    getStatus, createStatus, listVisibleStatuses,
+    viewStatus, likeStatus, commentOnStatus, getInteractions,
+    sweepExpiredStatuses, startStatusSweeper
+};
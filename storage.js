@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// --- MEDIA STORAGE BACKENDS ---
+// Every backend exposes the same shape:
+//   { name, save(source, { key, mime }) -> url, remove(key), keyFromUrl(url) -> key | null }
+// where source is a Buffer or the path of a file to copy (large uploads stay on disk).
+// Keys are the content hash plus extension (see media.js), so the same bytes always
+// land at the same place. Local URLs are relative (/uploads/...) unless
+// PUBLIC_BASE_URL is set; the upload route makes them absolute per request.
+
+const localBackend = (dir = path.join(__dirname, 'public/uploads')) => ({
+    name: 'local',
+    async save(source, { key }) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        if (Buffer.isBuffer(source)) await fs.promises.writeFile(path.join(dir, key), source);
+        else await fs.promises.copyFile(source, path.join(dir, key));
+        return `${process.env.PUBLIC_BASE_URL || ''}/uploads/${key}`;
+    },
+    async remove(key) {
+        await fs.promises.unlink(path.join(dir, path.basename(key)))
+            .catch(e => { if (e.code !== 'ENOENT') throw e; });
+    },
+    keyFromUrl(url) {
+        const match = String(url).match(/\/uploads\/([^/?#]+)$/);
+        return match ? match[1] : null;
+    }
+});
+
+const cloudinaryBackend = () => {
+    const cloudinary = require('cloudinary').v2;
+    if (!process.env.CLOUDINARY_URL) {
+        const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
+        if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
+            throw new Error('Set CLOUDINARY_URL or CLOUDINARY_CLOUD_NAME / CLOUDINARY_API_KEY / CLOUDINARY_API_SECRET');
+        }
+        cloudinary.config({
+            cloud_name: CLOUDINARY_CLOUD_NAME,
+            api_key: CLOUDINARY_API_KEY,
+            api_secret: CLOUDINARY_API_SECRET
+        });
+    }
+    const folder = process.env.CLOUDINARY_FOLDER || 'wavechat_media';
+
+    // Cloudinary keys its assets by public ID (+ resource type), not by our key
+    const resourceType = (mime) => mime.startsWith('image/') ? 'image'
+        : mime.startsWith('video/') || mime.startsWith('audio/') ? 'video' : 'raw';
+
+    return {
+        name: 'cloudinary',
+        save(source, { key, mime }) {
+            const type = resourceType(mime);
+            const publicId = type === 'raw' ? key : key.replace(/\.\w+$/, '');
+            return new Promise((resolve, reject) => {
+                const upload = cloudinary.uploader.upload_stream(
+                    { folder, public_id: publicId, resource_type: type, overwrite: false },
+                    (err, result) => err ? reject(err) : resolve(result.secure_url)
+                );
+                if (Buffer.isBuffer(source)) upload.end(source);
+                else fs.createReadStream(source).on('error', reject).pipe(upload);
+            });
+        },
+        async remove(key) {
+            const [type, publicId] = key.split(':');
+            await cloudinary.uploader.destroy(publicId, { resource_type: type });
+        },
+        // "<resource type>:<public id>" (raw public IDs keep their extension)
+        keyFromUrl(url) {
+            const match = String(url).match(/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(\.\w+)?$/);
+            if (!match) return null;
+            const [, type, publicId, ext] = match;
+            return `${type}:${type === 'raw' ? publicId + (ext || '') : publicId}`;
+        }
+    };
+};
+
+const backends = {
+    local: localBackend,
+    cloudinary: cloudinaryBackend
+};
+
+// Hosts like Railway wipe the local disk on every deploy, so production defaults to
+// Cloudinary; local disk is the default for development
+const DEFAULT_DRIVER = process.env.NODE_ENV === 'production' ? 'cloudinary' : 'local';
+
+// Pick the backend from STORAGE_DRIVER (see DEFAULT_DRIVER)
+function createStorage(name = process.env.STORAGE_DRIVER || DEFAULT_DRIVER) {
+    const factory = backends[name];
+    if (!factory) throw new Error(`Unknown storage driver: ${name}`);
+    if (name === 'local' && process.env.NODE_ENV === 'production') {
+        console.warn('⚠️ Media is stored on local disk: uploads are lost if the disk is wiped on redeploy');
+    }
+    return factory();
+}
+
+module.exports = { createStorage, backends };